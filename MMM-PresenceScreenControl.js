@@ -12,6 +12,29 @@
  * Modified: 2026-06-06 - Add autoDimmerOpacity config option (closes issue #7)
  * Modified: 2026-08-18 - Add optional homeAssistant config block (native HA MQTT-Discovery switch, handled in node_helper)
  * Modified: 2026-08-20 - homeAssistant: add exposePresence option (PIR/presence as HA binary_sensor, handled in node_helper)
+ * Modified: 2026-10-19 - Add sources option (named presence sources, replaces mode; mode kept as fallback)
+ * Modified: 2026-10-19 - Add mqttTopics option (several MQTT presence topics, each its own "mqtt:<name>" source)
+ * Modified: 2026-10-19 - Add presenceRule option (AND/OR/NOT presence rules over sources, evaluated in node_helper)
+ * Modified: 2026-10-19 - Add mqttMaxSilence / mqttTopics[].maxSilence and homeAssistant.exposeStale (stale-sensor watchdog)
+ * Modified: 2026-10-19 - Add latitude/longitude (sun anchors like "sunset-30min" in schedule windows)
+ * Modified: 2026-10-19 - Runtime overrides: accept MMM_PSC-OVERRIDE / MMM_PSC-OVERRIDE_CLEAR, show ignore-override countdown; add mqttOverrideTopic, homeAssistant.exposeOverride
+ * Modified: 2026-10-19 - Add persistState / persistStateMaxAge (runtime state survives restarts, handled in node_helper)
+ * Modified: 2026-10-19 - Add httpApi block (token-protected HTTP API, backend-only)
+ * Modified: 2026-10-19 - Add wakeupSocketPath / wakeupSocketMode (wakeup socket now also takes commands)
+ * Modified: 2026-10-19 - Add displayBackend / displayOptions (built-in display backends, see displayLib.js)
+ * Modified: 2026-10-19 - Add statusCommand / statusPollInterval / driftAction (verify the real screen power state)
+ * Modified: 2026-10-19 - Add commandTimeout / commandRetries / commandRetryDelay (screen command failure handling)
+ * Modified: 2026-10-19 - Add dimBackend / dimOptions (hardware brightness dimming); CSS fade skipped when a dim backend is set
+ * Modified: 2026-10-19 - Add dimStages (multi-stage dim profile); follow dimLevel from node_helper; fade from opacity 0 correctly
+ * Modified: 2026-10-19 - Add ambientLight block (lux-to-level curves, dark-room rule, handled in node_helper)
+ * Modified: 2026-10-19 - Add adaptiveTimeout block; countdown bar scales to effectiveTimeout from node_helper
+ * Modified: 2026-10-19 - Add historyLog block; emit MMM_PSC-DAILY_STATS, accept MMM_PSC-GET_STATS
+ * Modified: 2026-10-19 - Add energy block (kWh estimate from node_helper), optional energy line under the bar
+ * Modified: 2026-10-19 - Apply SETTINGS_UPDATE from node_helper live; add homeAssistant.exposeSettings
+ * Modified: 2026-10-19 - Add homeAssistant.exposeStatus / statusInterval (countdown, dimmed, mode, off-time entities)
+ * Modified: 2026-10-19 - Add mqttApi block (generic MQTT status/command topics, backend-only)
+ * Modified: 2026-10-19 - Add mqttConnection block (TLS files, client ID, keepalive, reconnect backoff of the shared MQTT connection)
+ * Modified: 2026-10-19 - Add peerGroup block (multi-mirror presence sharing and group END over MQTT, backend-only)
  */
 
 const ECO_LOCK = "MMM-PSC_ECO_LOCK";
@@ -22,23 +45,73 @@ Module.register("MMM-PresenceScreenControl", {
    * Adjust these in your config.js as needed.
    */
   defaults: {
-    mode: "PIR_MQTT",                     // "PIR", "MQTT", or "PIR_MQTT": which sensor(s) to use
+    mode: "PIR_MQTT",                     // "PIR", "MQTT", or "PIR_MQTT": which sensor(s) to use (ignored if sources is set)
+    sources: [],                          // Named presence sources, e.g. ["pir", "mqtt", "touch", "wakeup", "ha"]; [] = derive from mode
     pirGPIO: 4,                           // GPIO pin (BCM numbering) for PIR sensor
     mqttServer: "mqtt://localhost:1883",  // MQTT broker URL
     mqttTopic: "sensor/presence",         // MQTT topic for presence messages
     mqttPayloadOccupancyField: "presence",// Field in MQTT JSON payload indicating presence (ignored if mqttPayloadOn is set)
     mqttPayloadOn: "",                     // If set, switches to bare-string mode: raw MQTT message must equal this string for presence=true
+    mqttMaxSilence: 0,                    // Seconds without any message on mqttTopic before the sensor counts as stale/absent (0 = off)
+    mqttOverrideTopic: "",                // MQTT topic for runtime overrides, e.g. "alwaysOn 2h", "ignore until 07:00", "clear" ("" = off)
+    mqttTopics: [],                       // Additional presence topics: [{ name, topic, field, payloadOn, timeout, forceOff }] -> source "mqtt:<name>"
+    presenceRule: "",                     // Boolean rule over sources, e.g. "radar OR (pir AND NOT door)"; "" = any source (OR)
     mqttUser: "",                          // MQTT broker username (optional)
     mqttPassword: "",                      // MQTT broker password (optional)
+    mqttConnection: {                     // The one MQTT connection shared by sensors, homeAssistant and mqttApi (backend-only)
+      clientId: "",                       // "" = random; set one per mirror if the broker's ACLs need it
+      keepalive: 60,                      // Seconds between pings
+      connectTimeout: 30,                 // Seconds to wait for CONNACK
+      reconnectMin: 2,                    // First reconnect after this many seconds, doubling per failed attempt ...
+      reconnectMax: 60,                   // ... up to this
+      ca: "",                             // mqtts://: CA file (PEM), relative paths from the module folder
+      cert: "",                           // mqtts://: client certificate (PEM), needs key
+      key: "",                            // mqtts://: client key (PEM)
+      rejectUnauthorized: true,           // false accepts self-signed broker certificates without a CA file (not recommended)
+      availabilityTopic: ""               // Retained online/offline + LWT ("" = HA availability topic, else <mqttApi prefix>/availability)
+    },
+    displayBackend: "",                   // Built-in backend: "vcgencmd", "wlr-randr", "wlopm", "xrandr", "dpms", "ddcutil", "cec" ("" = onCommand/offCommand)
+    displayOptions: {},                   // Backend options, e.g. { output: "HDMI-A-1" } (see README)
     onCommand: "vcgencmd display_power 1",// Command to turn the display ON
     offCommand: "vcgencmd display_power 0",// Command to turn the display OFF
+    statusCommand: "",                    // Command printing the real power state ("on"/"off", "1"/"0"); overrides the backend query
+    statusPollInterval: 0,                // Seconds between power state checks (0 = off)
+    driftAction: "reapply",               // Real state differs: "reapply" (resend command) or "adopt" (accept it)
+    commandTimeout: 10,                   // Seconds before a hanging screen command is killed (0 = no limit)
+    commandRetries: 2,                    // Retries for a failed screen command
+    commandRetryDelay: 2,                 // Seconds before the first retry (doubles per retry)
     counterTimeout: 120,                  // Seconds to keep the display on after last presence
+    adaptiveTimeout: {                    // Learn the countdown from how long visits last at each hour of day, see README
+      enabled: false,
+      min: 30,                            // Shortest countdown in seconds
+      max: 600,                           // Longest countdown in seconds
+      factor: 0.5,                        // Countdown = typical visit length × factor (within min..max)
+      minSamples: 5                       // Visits needed at an hour before its statistics are used (until then: counterTimeout)
+    },
     startupGracePeriod: 0,               // Seconds to keep screen on after startup (0 = off after ~1s if nobody present)
+    persistState: true,                   // Save lock, override, counter and screen state to psc-state.json and restore them after a restart
+    persistStateMaxAge: 21600,            // Seconds a saved state stays valid (older state is ignored; 0 = no limit)
     autoDimmer: true,                     // Enable/disable auto-dimming instead of instant off
     autoDimmerTimeout: 60,                // Seconds before auto-dimming triggers
     autoDimmerOpacity: 0.2,               // Target opacity during auto-dim (0.0 = invisible, 1.0 = full)
+    dimStages: [],                        // Multi-stage dimming, e.g. [{ after: 30, level: 0.7 }, { after: 90, level: 0.3, curve: "ease-out" }]
+    dimBackend: "",                       // Hardware dimming instead of CSS: "sysfs", "ddcutil", "command" ("" = CSS opacity)
+    dimOptions: {},                       // Dim backend options, e.g. { path: "/sys/class/backlight/10-0045" } (see README)
+    ambientLight: {                       // Brightness follows a lux sensor (MQTT or sysfs), see README
+      enabled: false,
+      mqttTopic: "",                      // Topic with the lux reading (JSON or bare number)
+      field: "illuminance",               // JSON path of the lux value
+      sysfsPath: "",                      // Local light sensor, e.g. "/sys/bus/iio/devices/iio:device0/in_illuminance_input"
+      pollInterval: 10,                   // Seconds between sysfs reads
+      scale: 1,                           // Factor applied to the raw reading
+      curve: [[0, 0.2], [50, 0.6], [300, 1]], // [lux, level] points for full brightness
+      dimCurve: [],                       // [lux, level] points while auto-dimmed ([] = full level × autoDimmerOpacity)
+      darkBelow: 0                        // Below this lux, presence is ignored and the screen stays off (0 = off)
+    },
     cronIgnoreWindows: [],                // Time windows to ignore all presence
     cronAlwaysOnWindows: [],              // Time windows to keep display always on
+    latitude: null,                       // Location for sun anchors in windows ("sunset-30min", "sunrise"); computed offline
+    longitude: null,                      // Longitude in degrees, east positive
     style: 2,                             // Display style: 2 = bar, 0 = no graphic
     colorFrom: "red",                     // Bar color at timer end (empty)
     colorTo: "lime",                      // Bar color at timer start (full)
@@ -48,6 +121,8 @@ Module.register("MMM-PresenceScreenControl", {
     logFileName: "",                      // Log destination: "" = console.log (pm2 logs), "file.log" = file in module dir
     resetCountdownWidth: false,           // If true, bar jumps to 100% at always-on countdown start
     treatExternalWakeupAsPresence: false, // If true, listen on a Unix socket and treat external screen-on signals as presence
+    wakeupSocketPath: "",                 // Socket path ("" = $XDG_RUNTIME_DIR/mmm-psc-wakeup.sock, fallback /tmp)
+    wakeupSocketMode: "",                 // Socket file mode as octal string, e.g. "0660" ("" = umask default)
     ecoMode: false,                       // If true, hide all other modules while the screen is off (DOM-level; reduces render load)
     ecoModeIgnore: [],                    // Module names to keep visible in ecoMode (e.g. ["MMM-FRITZ-Box-Callmonitor-py3"])
     homeAssistant: {                      // Optional Home Assistant MQTT-Discovery switch (backend-only; reuses the mqtt* settings above)
@@ -56,12 +131,50 @@ Module.register("MMM-PresenceScreenControl", {
       discoveryPrefix: "homeassistant",   // HA discovery prefix (match HA's mqtt discovery_prefix)
       objectId: "magicmirror_screen",     // Technical id -> topic paths + HA unique_id; make unique per mirror if several share a broker
       name: "MagicMirror Screen",         // Friendly name shown in Home Assistant (device name)
-      exposePresence: "off"               // Also expose presence as HA binary_sensor: "off" | "occupancy" | "motion" | "both" (motion needs a PIR mode)
+      exposePresence: "off",              // Also expose presence as HA binary_sensor: "off" | "occupancy" | "motion" | "both" (motion needs a PIR mode)
+      exposeStale: false,                 // Also expose a "problem" binary_sensor that is ON while an MQTT sensor is stale (maxSilence)
+      exposeOverride: false,              // Also expose "Keep on for" / "Ignore presence for" number entities (minutes, runtime overrides)
+      exposeSettings: false,              // Also expose timeout/dim numbers, locked/ecoMode switches and a debug select (changes apply live)
+      exposeStatus: false,                // Also expose countdown, dimmed, mode and "screen off at" entities
+      statusInterval: 10                  // Seconds between countdown updates to HA (mode/dim changes go out at once)
+    },
+    mqttApi: {                            // Optional generic MQTT API, independent of HA discovery (backend-only; reuses the mqtt* settings above)
+      enabled: false,
+      topicPrefix: "magicmirror/psc",     // -> <prefix>/status, <prefix>/availability, <prefix>/cmd/<command>
+      qos: 0,                             // QoS for status publishes and the command subscription
+      retain: true,                       // Retain the status JSON so new subscribers get it at once
+      statusInterval: 10                  // Seconds between countdown-only status updates (0 = every second; state changes go out at once)
+    },
+    peerGroup: {                          // Optional multi-mirror coordination over the shared MQTT connection (backend-only)
+      enabled: false,
+      topic: "magicmirror/psc-group",     // Group base topic -> <topic>/<id>/presence, <topic>/<id>/end
+      id: "",                             // This mirror's id in the group ("" = homeAssistant.objectId)
+      peers: [],                          // Peers whose presence counts here, e.g. ["bath", { id: "hallway", delay: 0, timeout: 30 }] -> source "peer:<id>"
+      shareEnd: false                     // END here ends the other mirrors with shareEnd too, and vice versa
+    },
+    httpApi: {                            // Optional HTTP API on the MagicMirror server (backend-only)
+      enabled: false,                     // Register /MMM-PresenceScreenControl/status, /wakeup, /end, /lock, /unlock, /override
+      token: ""                           // Required shared secret (Bearer header, X-PSC-Token header or ?token=)
+    },
+    historyLog: {                         // Presence/screen/schedule history with daily statistics (backend-only)
+      enabled: false,
+      file: "",                           // Log file ("" = psc-history.jsonl in the module folder)
+      maxSizeKB: 1024,                    // Rotate when the log reaches this size
+      keep: 3,                            // Rotated files to keep (.1 .. .3)
+      falseTriggerSeconds: 3              // Sensor wakeups with less presence than this count as false triggers
+    },
+    energy: {                             // Energy estimate from screen-on time (also as HA energy sensors)
+      enabled: false,
+      wattsOn: 30,                        // Panel draw when on
+      wattsDimmed: 20,                    // Panel draw while auto-dimmed (CSS dimming saves little: set it close to wattsOn)
+      wattsStandby: 0.5,                  // Panel draw when off
+      showInDom: false                    // Show "Energy: x kWh used, y kWh saved" under the bar
     }
   },
 
   fadeTimers: [],
   lastDimmedState: null,
+  lastDimLevel: 1,
   hasAlwaysOnJumped: false, // Used for resetCountdownWidth logic
 
   /**
@@ -82,6 +195,9 @@ Module.register("MMM-PresenceScreenControl", {
     this.ignoreActive = false;
     this.alwaysOnTotal = null;
     this.alwaysOnLeft = null;
+    this.override = null;
+    this.effectiveTimeout = this.config.counterTimeout;
+    this.energy = null;
     this.hasAlwaysOnJumped = false;
     this.lastScreenOn = null;
     this.lastPresenceState = null;
@@ -110,7 +226,8 @@ Module.register("MMM-PresenceScreenControl", {
     this.fadeTimers = [];
     var regions = document.querySelectorAll(".region");
     if (!regions.length) return;
-    let current = parseFloat(regions[0].style.opacity) || 1;
+    const parsed = parseFloat(regions[0].style.opacity);
+    let current = Number.isNaN(parsed) ? 1 : parsed;
     if (current === target) return;
     let steps = Math.max(10, Math.round(duration / 100));
     let diff = (target - current) / steps;
@@ -132,14 +249,30 @@ Module.register("MMM-PresenceScreenControl", {
     if (notification === "PRESENCE_UPDATE") {
       this.presence = payload.presence;
       this.counter = payload.counter;
+      this.effectiveTimeout = payload.effectiveTimeout || this.config.counterTimeout;
       this.dimmed = payload.dimmed;
       this.alwaysOn = payload.alwaysOn;
       this.ignoreActive = payload.ignoreActive;
       this.alwaysOnTotal = payload.alwaysOnTotal;
       this.alwaysOnLeft = payload.alwaysOnLeft;
-      if (this.lastDimmedState !== this.dimmed) {
+      this.override = payload.override || null;
+      this.energy = payload.energy || null;
+      if (typeof payload.dimLevel === "number") {
+        // dimStages / ambientLight: node_helper sends the absolute level, fade to it in 1s steps
+        if (payload.dimLevel !== this.lastDimLevel && !this.config.dimBackend) {
+          let duration = 1000;
+          if (this.lastDimmedState && !this.dimmed) duration = 600;
+          else if (this.dimmed && !this.lastDimmedState && this.config.dimStages.length === 0) duration = this.config.autoDimmerTimeout * 1000;
+          this.fadeRegionsOpacity(payload.dimLevel, duration);
+        }
+        this.lastDimLevel = payload.dimLevel;
+        this.lastDimmedState = this.dimmed;
+      } else if (this.lastDimmedState !== this.dimmed) {
         if (this.dimmed) {
-          this.fadeRegionsOpacity(this.config.autoDimmerOpacity, this.config.autoDimmerTimeout * 1000);
+          // With a hardware dim backend the panel itself gets darker, no CSS fade on top
+          if (!this.config.dimBackend) {
+            this.fadeRegionsOpacity(this.config.autoDimmerOpacity, this.config.autoDimmerTimeout * 1000);
+          }
         } else {
           this.fadeRegionsOpacity(1.0, 600);
         }
@@ -171,6 +304,27 @@ Module.register("MMM-PresenceScreenControl", {
       this.updateDom();
       this.log("Received PRESENCE_UPDATE: " + JSON.stringify(payload), "complex");
     }
+    if (notification === "SETTINGS_UPDATE") {
+      var opacityChanged = payload.autoDimmerOpacity !== this.config.autoDimmerOpacity;
+      var ecoChanged = payload.ecoMode !== this.config.ecoMode;
+      Object.assign(this.config, payload);
+      // Classic auto-dim: move an active dim to the new level (dimLevel updates handle the rest)
+      var followsDimLevel = this.config.dimStages.length > 0 || (this.config.ambientLight && this.config.ambientLight.enabled);
+      if (opacityChanged && this.dimmed && !this.config.dimBackend && !followsDimLevel) {
+        this.fadeRegionsOpacity(this.config.autoDimmerOpacity, 600);
+      }
+      if (ecoChanged && this.lastScreenOn === false) {
+        if (this.config.ecoMode) {
+          this.ecoHideAll();
+        } else {
+          this.ecoShowAll();
+        }
+      }
+      this.updateDom();
+    }
+    if (notification === "HISTORY_STATS") {
+      this.sendNotification("MMM_PSC-DAILY_STATS", payload);
+    }
     if (notification === "DEBUG_LOG") {
       this.log(payload, "complex");
     }
@@ -205,6 +359,20 @@ Module.register("MMM-PresenceScreenControl", {
     return "rgb(" + r + "," + g + "," + b + ")";
   },
 
+  /**
+   * Formats seconds as [HH:]MM:SS (same format as the timer text below the bar).
+   * @param {number} total - Seconds
+   * @returns {string}
+   */
+  formatDuration: function (total) {
+    var hours = Math.floor(total / 3600);
+    var min = Math.floor((total % 3600) / 60);
+    var sec = total % 60;
+    return (hours > 0 ? ((hours < 10 ? "0" : "") + hours + ":") : "") +
+           (min < 10 ? "0" : "") + min + ":" +
+           (sec < 10 ? "0" : "") + sec;
+  },
+
   /**
    * Main DOM rendering: Shows presence status, timer bar, and timer text.
    * Handles always-on and ignore logic, and visual timer bar.
@@ -220,10 +388,14 @@ Module.register("MMM-PresenceScreenControl", {
       wrapper.appendChild(status);
     }
 
-    // Show ignore window hint if active
+    // Show ignore window hint if active (with countdown if it is a runtime override)
     if (this.ignoreActive) {
       var ignoreDiv = document.createElement("div");
-      ignoreDiv.innerHTML = "<span style='color:gray;'>[Presence Ignored]</span>";
+      var ignoreText = "[Presence Ignored]";
+      if (this.override && this.override.mode === "ignore") {
+        ignoreText = "[Presence Ignored – override " + this.formatDuration(this.override.left) + "]";
+      }
+      ignoreDiv.innerHTML = "<span style='color:gray;'>" + ignoreText + "</span>";
       wrapper.appendChild(ignoreDiv);
     }
 
@@ -285,7 +457,7 @@ Module.register("MMM-PresenceScreenControl", {
         // Normal presence timer bar (not in always-on window)
         var progDiv = document.createElement("div");
         progDiv.className = "psc-linebar";
-        var phase = Math.max(0, this.counter / this.config.counterTimeout);
+        var phase = Math.max(0, this.counter / this.effectiveTimeout);
         var barColor = this.getCountdownColor(this.config.colorTo, this.config.colorFrom, 1 - phase);
         var barWidth = (phase * 100) + "%";
         progDiv.innerHTML = "<div class='psc-bar' style='width:" + barWidth + ";background:" + barColor + ";'></div>";
@@ -308,6 +480,15 @@ Module.register("MMM-PresenceScreenControl", {
       }
     }
 
+    // Energy estimate (totals since the energy counter started)
+    if (this.config.energy && this.config.energy.showInDom && this.energy) {
+      var energyDiv = document.createElement("div");
+      energyDiv.className = "psc-energy";
+      energyDiv.innerHTML = "Energy: " + this.energy.usedKWh.toFixed(2) + " kWh used, " +
+                            this.energy.savedKWh.toFixed(2) + " kWh saved";
+      wrapper.appendChild(energyDiv);
+    }
+
     return wrapper;
   },
 
@@ -363,6 +544,12 @@ Module.register("MMM-PresenceScreenControl", {
       this.sendSocketNotification("EXT_LOCK");
     } else if (notification === "MMM_PSC-UNLOCK") {
       this.sendSocketNotification("EXT_UNLOCK");
+    } else if (notification === "MMM_PSC-OVERRIDE") {
+      this.sendSocketNotification("EXT_OVERRIDE", payload);
+    } else if (notification === "MMM_PSC-OVERRIDE_CLEAR") {
+      this.sendSocketNotification("EXT_OVERRIDE_CLEAR");
+    } else if (notification === "MMM_PSC-GET_STATS") {
+      this.sendSocketNotification("EXT_GET_STATS");
     }
   }
 });
@@ -0,0 +1,67 @@
+/**
+ * adaptiveLib.js
+ * Adaptive countdown for MMM-PresenceScreenControl.
+ * node_helper records every visit (first presence until the screen turns off again) in
+ * per-hour-of-day statistics; the timeout for a new countdown is derived from how long
+ * visits usually last at this hour, and from how long the current visit has lasted so far:
+ * walk-bys keep the screen on briefly, breakfast keeps it on long.
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (per-hour visit statistics, effective timeout)
+ */
+
+const SMOOTHING = 0.2;       // weight of a new visit in the per-hour moving average
+const MAX_VISIT_S = 4 * 3600;  // longer "visits" are always-on leftovers, not people
+
+function createStats () {
+  return { hours: Array.from({ length: 24 }, () => ({ avg: 0, n: 0 })) };
+}
+
+// Accepts what loadStats read from disk; anything malformed starts over for that hour
+function normalizeStats (raw) {
+  const stats = createStats();
+  const hours = raw && Array.isArray(raw.hours) ? raw.hours : [];
+  hours.slice(0, 24).forEach((h, i) => {
+    const avg = Number(h && h.avg);
+    const n = Number(h && h.n);
+    if (Number.isFinite(avg) && avg >= 0 && Number.isInteger(n) && n > 0) stats.hours[i] = { avg: avg, n: n };
+  });
+  return stats;
+}
+
+/**
+ * Adds one visit to the hour it started in.
+ * @param {object} stats - createStats() / normalizeStats() result, updated in place
+ * @param {number} hour - 0..23
+ * @param {number} seconds - Visit length
+ * @returns {boolean} false if the visit was discarded
+ */
+function recordVisit (stats, hour, seconds) {
+  if (!(seconds > 0) || seconds > MAX_VISIT_S) return false;
+  const h = stats.hours[hour];
+  // Plain mean for the first few visits, then a moving average that follows habit changes
+  const weight = Math.max(SMOOTHING, 1 / (h.n + 1));
+  h.avg = Math.round((h.avg + (seconds - h.avg) * weight) * 10) / 10;
+  h.n++;
+  return true;
+}
+
+/**
+ * Countdown length in seconds.
+ * @param {object} stats - Visit statistics
+ * @param {number} hour - Current hour 0..23
+ * @param {number} visitSeconds - Length of the ongoing visit (0 if none)
+ * @param {object} opts - { base, min, max, factor, minSamples }
+ * @returns {number}
+ */
+function effectiveTimeout (stats, hour, visitSeconds, opts) {
+  const clamp = (s) => Math.round(Math.min(opts.max, Math.max(opts.min, s)));
+  const h = stats.hours[hour];
+  // Too few visits at this hour: the fixed counterTimeout, until the statistics are worth something
+  const learned = h.n >= opts.minSamples ? h.avg * opts.factor : opts.base;
+  return clamp(Math.max(learned, visitSeconds * opts.factor));
+}
+
+module.exports = { createStats, normalizeStats, recordVisit, effectiveTimeout };
@@ -0,0 +1,128 @@
+/**
+ * brightnessLib.js
+ * Hardware brightness backends for MMM-PresenceScreenControl auto-dimming.
+ * Levels are always 0..1 (fraction of the panel's maximum), each backend maps them to
+ * its own scale.
+ *
+ *   sysfs    /sys/class/backlight/<dev>/brightness (or any plain file, for testing)
+ *   ddcutil  DDC/CI brightness (VCP 10) over the monitor cable
+ *   command  custom command with {percent} / {level} placeholders
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (hardware dimming via backlight / DDC/CI)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { exec } = require("child_process");
+
+const BACKLIGHT_DIR = "/sys/class/backlight";
+const DEFAULT_MAX = 255;    // plain files without a max_brightness next to them
+
+function clampLevel (level) {
+  const n = Number(level);
+  if (!Number.isFinite(n)) return 1;
+  return Math.min(1, Math.max(0, n));
+}
+
+// "" -> first device in /sys/class/backlight; a directory -> <dir>/brightness; else the file itself
+function resolveSysfsPath (configured) {
+  let p = configured;
+  if (!p) {
+    const devices = fs.readdirSync(BACKLIGHT_DIR);
+    if (devices.length === 0) throw new Error(`no backlight device in ${BACKLIGHT_DIR}`);
+    p = path.join(BACKLIGHT_DIR, devices[0]);
+  }
+  if (fs.existsSync(p) && fs.statSync(p).isDirectory()) p = path.join(p, "brightness");
+  return p;
+}
+
+class BrightnessBackend {
+  /**
+   * @param {string} name - "sysfs" | "ddcutil" | "command"
+   * @param {object} options - path/max (sysfs), display (ddcutil), command (command), timeout (ms)
+   */
+  constructor (name, options = {}) {
+    this.name = String(name || "").toLowerCase();
+    this.options = options;
+    this.timeout = Number(options.timeout) > 0 ? Number(options.timeout) : 0;
+    switch (this.name) {
+      case "sysfs": {
+        this.file = resolveSysfsPath(options.path);
+        const maxFile = path.join(path.dirname(this.file), "max_brightness");
+        if (options.max) this.max = Number(options.max);
+        else if (fs.existsSync(maxFile)) this.max = Number(fs.readFileSync(maxFile, "utf8").trim());
+        else this.max = DEFAULT_MAX;
+        if (!(this.max > 0)) throw new Error(`invalid max brightness for ${this.file}`);
+        this.stepMs = 100;
+        break;
+      }
+      case "ddcutil":
+        this.target = options.display !== undefined && options.display !== "" ? ` --display ${Number(options.display)}` : "";
+        this.stepMs = 1000;     // DDC/CI is slow; one write per second is plenty
+        break;
+      case "command":
+        if (!options.command) throw new Error("dim backend \"command\" needs a command");
+        this.stepMs = 1000;
+        break;
+      default:
+        throw new Error(`unknown dim backend "${name}" (known: sysfs, ddcutil, command)`);
+    }
+  }
+
+  describe () {
+    if (this.name === "sysfs") return `sysfs ${this.file} (max ${this.max})`;
+    if (this.name === "ddcutil") return "ddcutil VCP 10" + this.target;
+    return "command " + this.options.command;
+  }
+
+  run (cmd, callback) {
+    exec(cmd, { timeout: this.timeout, killSignal: "SIGKILL" }, callback);
+  }
+
+  // callback(err)
+  set (level, callback) {
+    level = clampLevel(level);
+    const percent = Math.round(level * 100);
+    switch (this.name) {
+      case "sysfs":
+        fs.writeFile(this.file, String(Math.round(level * this.max)), (err) => callback(err || null));
+        return;
+      case "ddcutil":
+        this.run(`ddcutil${this.target} setvcp 10 ${percent}`, (err) => callback(err || null));
+        return;
+      default: {
+        const cmd = String(this.options.command)
+          .replace(/\{percent\}/g, String(percent))
+          .replace(/\{level\}/g, level.toFixed(3));
+        this.run(cmd, (err) => callback(err || null));
+      }
+    }
+  }
+
+  // callback(err, level) with level 0..1, or null if the backend cannot read it
+  get (callback) {
+    switch (this.name) {
+      case "sysfs":
+        fs.readFile(this.file, "utf8", (err, text) => {
+          if (err) return callback(err, null);
+          const raw = Number(text.trim());
+          callback(null, Number.isFinite(raw) ? clampLevel(raw / this.max) : null);
+        });
+        return;
+      case "ddcutil":
+        this.run(`ddcutil${this.target} getvcp 10 --brief`, (err, stdout) => {
+          if (err) return callback(err, null);
+          const m = String(stdout).match(/VCP 10 C (\d+) (\d+)/);
+          callback(null, m && Number(m[2]) > 0 ? clampLevel(Number(m[1]) / Number(m[2])) : null);
+        });
+        return;
+      default:
+        callback(null, null);
+    }
+  }
+}
+
+module.exports = { BrightnessBackend, clampLevel };
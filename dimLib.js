@@ -0,0 +1,113 @@
+/**
+ * dimLib.js
+ * Multi-stage auto-dim profiles for MMM-PresenceScreenControl.
+ * A profile is a list of stages, each fading from the previous level to its own level,
+ * measured in seconds since the last presence (the countdown in node_helper):
+ *   [{ after: 30, level: 0.7 }, { after: 90, level: 0.3, curve: "ease-out", fade: 10 }]
+ * node_helper computes the level every second; the frontend (CSS opacity) and the hardware
+ * brightness backends just follow it.
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (dim stages with easing curves)
+ * Modified: 2026-10-19 - interpolateCurve for lux-to-level curves (ambient light)
+ */
+
+const CURVES = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t,
+  "ease-out": (t) => 1 - (1 - t) * (1 - t),
+  "ease-in-out": (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+  step: (t) => (t > 0 ? 1 : 0)
+};
+
+function ease (curve, t) {
+  return CURVES[curve](Math.min(1, Math.max(0, t)));
+}
+
+/**
+ * Validates and orders the stages. A stage without `fade` fades until the next stage starts
+ * (the last one until the screen goes off at `counterTimeout`).
+ * @param {Array} list - Stage objects { after, level, fade?, curve? }
+ * @param {number} counterTimeout - Seconds until the screen turns off
+ * @param {function(string)} onError - Called per rejected stage
+ * @returns {Array} Compiled stages with from/to/start/duration/curve
+ */
+function compileDimStages (list, counterTimeout, onError) {
+  if (!Array.isArray(list)) return [];
+  const valid = [];
+  list.forEach((stage, i) => {
+    const after = Number(stage && stage.after);
+    const level = Number(stage && stage.level);
+    const curve = String((stage && stage.curve) || "linear").toLowerCase();
+    if (!Number.isFinite(after) || after < 0 || after >= counterTimeout) {
+      onError(`dimStages[${i}]: "after" must be between 0 and counterTimeout (${counterTimeout}) — stage ignored`);
+    } else if (!Number.isFinite(level) || level < 0 || level > 1) {
+      onError(`dimStages[${i}]: "level" must be between 0 and 1 — stage ignored`);
+    } else if (!CURVES[curve]) {
+      onError(`dimStages[${i}]: unknown curve "${stage.curve}" (${Object.keys(CURVES).join(", ")}) — stage ignored`);
+    } else {
+      valid.push({ after: after, level: level, fade: stage.fade, curve: curve });
+    }
+  });
+  valid.sort((a, b) => a.after - b.after);
+
+  const compiled = [];
+  valid.forEach((stage, i) => {
+    const next = valid[i + 1];
+    const until = next ? next.after : counterTimeout;
+    const fade = Number(stage.fade);
+    const duration = Number.isFinite(fade) && fade >= 0 ? fade : until - stage.after;
+    // Start level = where the previous stage got to when this one begins
+    const from = compiled.length === 0 ? 1 : levelOf(compiled[compiled.length - 1], stage.after);
+    compiled.push({ start: stage.after, duration: duration, from: from, to: stage.level, curve: stage.curve });
+  });
+  return compiled;
+}
+
+function levelOf (stage, elapsed) {
+  const t = stage.duration > 0 ? (elapsed - stage.start) / stage.duration : 1;
+  return stage.from + (stage.to - stage.from) * ease(stage.curve, t);
+}
+
+/**
+ * Dim level (0..1, 1 = not dimmed) after `elapsed` seconds without presence.
+ * @param {Array} stages - Result of compileDimStages
+ * @param {number} elapsed - Seconds since the last presence
+ * @returns {number}
+ */
+function dimLevelAt (stages, elapsed) {
+  let current = null;
+  for (const stage of stages) {
+    if (elapsed < stage.start) break;
+    current = stage;
+  }
+  return current ? Math.round(levelOf(current, elapsed) * 1000) / 1000 : 1;
+}
+
+/**
+ * Piecewise linear curve, e.g. lux -> level. Points as [x, y] pairs or { lux, level } objects;
+ * outside the first/last point the end values hold.
+ * @param {Array} points - Curve points (any order)
+ * @param {number} x - Input value
+ * @returns {number|null} null if the curve has no valid points
+ */
+function interpolateCurve (points, x) {
+  const pts = (Array.isArray(points) ? points : [])
+    .map(p => (Array.isArray(p) ? [Number(p[0]), Number(p[1])] : [Number(p && p.lux), Number(p && p.level)]))
+    .filter(p => Number.isFinite(p[0]) && Number.isFinite(p[1]))
+    .sort((a, b) => a[0] - b[0]);
+  if (pts.length === 0) return null;
+  if (x <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    if (x <= pts[i][0]) {
+      const [x0, y0] = pts[i - 1];
+      const [x1, y1] = pts[i];
+      return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+    }
+  }
+  return pts[pts.length - 1][1];
+}
+
+module.exports = { compileDimStages, dimLevelAt, interpolateCurve, DIM_CURVES: Object.keys(CURVES) };
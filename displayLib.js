@@ -0,0 +1,221 @@
+/**
+ * displayLib.js
+ * Display power backends for MMM-PresenceScreenControl.
+ * Each backend knows how to switch the panel on/off and how to ask for its actual power
+ * state, so node_helper no longer depends on hand-written onCommand/offCommand strings.
+ *
+ *   vcgencmd   Raspberry Pi firmware (KMS and legacy)
+ *   wlr-randr  wlroots compositors (labwc, wayfire, sway), output on/off
+ *   wlopm      wlroots compositors, DPMS-level power management (output stays configured)
+ *   xrandr     X11, output on/off
+ *   dpms       X11, DPMS via xset (panel standby, output stays configured)
+ *   ddcutil    DDC/CI power mode (VCP D6) over the monitor cable
+ *   cec        HDMI-CEC via cec-client (TVs)
+ *   custom     onCommand / offCommand (+ optional statusCommand) shell strings
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (pluggable display backends with set + query)
+ * Modified: 2026-10-19 - statusCommand option replaces the backend's own state query
+ * Modified: 2026-10-19 - timeout option (ms): hanging commands are killed and reported as failed
+ */
+
+const { exec } = require("child_process");
+
+// Quote for sh where needed, so odd connector names or adapter paths stay one argument
+function shellQuote (value) {
+  const s = String(value);
+  if (/^[\w.:@%+,/=-]+$/.test(s)) return s;
+  return "'" + s.replace(/'/g, "'\\''") + "'";
+}
+
+// "on"/"1"/"true"/"yes" -> true, "off"/"0"/"false"/"no"/"standby" -> false, else null (unknown)
+function parseOnOff (text) {
+  const t = String(text || "").trim().toLowerCase();
+  if (/^(on|1|true|yes)\b/.test(t)) return true;
+  if (/^(off|0|false|no|standby)\b/.test(t)) return false;
+  return null;
+}
+
+// Block of `wlr-randr` text output that belongs to one output (header line + indented lines)
+function wlrOutputBlock (stdout, output) {
+  const lines = String(stdout).split("\n");
+  const start = lines.findIndex(l => !/^\s/.test(l) && (!output || l.split(" ")[0] === output));
+  if (start === -1) return null;
+  const block = [lines[start]];
+  for (let i = start + 1; i < lines.length && /^\s/.test(lines[i]); i++) block.push(lines[i]);
+  return block.join("\n");
+}
+
+// Backend definitions: commands are built from the options, parse() maps stdout to true/false/null
+const BACKENDS = {
+  vcgencmd: (o) => {
+    const disp = o.display !== undefined && o.display !== "" ? " " + Number(o.display) : "";
+    return {
+      on: "vcgencmd display_power 1" + disp,
+      off: "vcgencmd display_power 0" + disp,
+      status: "vcgencmd display_power" + (disp ? " -1" + disp : ""),
+      parse: (out) => {
+        const m = String(out).match(/display_power=(-?\d)/);
+        return m ? m[1] === "1" : null;
+      }
+    };
+  },
+  "wlr-randr": (o) => ({
+    requires: ["output"],
+    env: { WAYLAND_DISPLAY: o.waylandDisplay || process.env.WAYLAND_DISPLAY || "wayland-0" },
+    on: `wlr-randr --output ${shellQuote(o.output)} --on`,
+    off: `wlr-randr --output ${shellQuote(o.output)} --off`,
+    status: "wlr-randr",
+    parse: (out) => {
+      const block = wlrOutputBlock(out, o.output);
+      const m = block && block.match(/^\s+Enabled:\s*(\S+)/m);
+      return m ? m[1].toLowerCase() === "yes" : null;
+    }
+  }),
+  wlopm: (o) => ({
+    requires: ["output"],
+    env: { WAYLAND_DISPLAY: o.waylandDisplay || process.env.WAYLAND_DISPLAY || "wayland-0" },
+    on: `wlopm --on ${shellQuote(o.output)}`,
+    off: `wlopm --off ${shellQuote(o.output)}`,
+    status: "wlopm",
+    parse: (out) => {
+      const line = String(out).split("\n").find(l => l.trim().split(/\s+/)[0] === o.output);
+      return line ? line.trim().split(/\s+/)[1] === "on" : null;
+    }
+  }),
+  xrandr: (o) => ({
+    requires: ["output"],
+    env: { DISPLAY: o.xDisplay || process.env.DISPLAY || ":0" },
+    on: `xrandr --output ${shellQuote(o.output)} ${o.mode ? "--mode " + shellQuote(o.mode) : "--auto"}` +
+      (o.rotate ? " --rotate " + shellQuote(o.rotate) : ""),
+    off: `xrandr --output ${shellQuote(o.output)} --off`,
+    status: "xrandr --query",
+    parse: (out) => {
+      // An enabled output has a geometry ("1920x1080+0+0") on its header line
+      const line = String(out).split("\n").find(l => l.split(" ")[0] === o.output);
+      if (!line) return null;
+      return /\d+x\d+\+\d+\+\d+/.test(line);
+    }
+  }),
+  dpms: (o) => ({
+    env: { DISPLAY: o.xDisplay || process.env.DISPLAY || ":0" },
+    on: "xset dpms force on",
+    off: "xset dpms force off",
+    status: "xset q",
+    parse: (out) => {
+      const m = String(out).match(/Monitor is (\w+)/);
+      return m ? m[1].toLowerCase() === "on" : null;
+    }
+  }),
+  ddcutil: (o) => {
+    const target = o.display !== undefined && o.display !== "" ? ` --display ${Number(o.display)}` : "";
+    return {
+      // VCP D6 power mode: 01 = on, 05 = off like the power button (04 = DPM standby).
+      // --skip-ddc-checks: many panels stop answering DDC queries while off but still obey commands.
+      on: `ddcutil${target} setvcp D6 01 --skip-ddc-checks`,
+      off: `ddcutil${target} setvcp D6 ${o.offValue || "05"} --skip-ddc-checks`,
+      status: `ddcutil${target} getvcp D6 --brief`,
+      parse: (out) => {
+        const m = String(out).match(/VCP D6 \w+ x([0-9a-f]{2})/i);
+        return m ? parseInt(m[1], 16) === 1 : null;
+      }
+    };
+  },
+  cec: (o) => {
+    const addr = o.address !== undefined && o.address !== "" ? String(o.address) : "0";
+    const client = "cec-client -s -d 1" + (o.adapter ? " " + shellQuote(o.adapter) : "");
+    return {
+      on: `echo ${shellQuote("on " + addr)} | ${client}`,
+      off: `echo ${shellQuote("standby " + addr)} | ${client}`,
+      status: `echo ${shellQuote("pow " + addr)} | ${client}`,
+      parse: (out) => {
+        const m = String(out).match(/power status:\s*(.+)/i);
+        if (!m) return null;
+        const s = m[1].trim().toLowerCase();
+        if (s === "on" || s.endsWith("to on")) return true;
+        if (s === "standby" || s.endsWith("to standby")) return false;
+        return null;
+      }
+    };
+  },
+  custom: (o) => ({
+    on: o.onCommand || "",
+    off: o.offCommand || "",
+    status: o.statusCommand || "",
+    parse: parseOnOff
+  })
+};
+
+const ALIASES = { wlrrandr: "wlr-randr", xset: "dpms", "cec-client": "cec", shell: "custom" };
+
+class DisplayBackend {
+  /**
+   * @param {string} name - Backend name (see BACKENDS); "" selects "custom"
+   * @param {object} options - Backend options (output, display, address, onCommand, ...)
+   */
+  constructor (name, options = {}) {
+    const key = String(name || "custom").toLowerCase();
+    this.name = ALIASES[key] || key;
+    const build = BACKENDS[this.name];
+    if (!build) throw new Error(`unknown display backend "${name}" (known: ${Object.keys(BACKENDS).join(", ")})`);
+    this.options = options;
+    const def = build(options);
+    const missing = (def.requires || []).filter(opt => !options[opt]);
+    if (missing.length > 0) throw new Error(`display backend "${this.name}" needs ${missing.join(", ")}`);
+    this.commands = { on: def.on, off: def.off, status: def.status };
+    this.parse = def.parse;
+    // A user statusCommand wins over the built-in query; its output is read as on/off text
+    if (options.statusCommand) {
+      this.commands.status = options.statusCommand;
+      this.parse = parseOnOff;
+    }
+    this.env = def.env ? Object.assign({}, process.env, def.env) : undefined;
+    this.timeout = Number(options.timeout) > 0 ? Number(options.timeout) : 0;
+  }
+
+  canQuery () {
+    return !!this.commands.status;
+  }
+
+  command (on) {
+    return on ? this.commands.on : this.commands.off;
+  }
+
+  run (cmd, callback) {
+    const opts = { timeout: this.timeout, killSignal: "SIGKILL" };
+    if (this.env) opts.env = this.env;
+    exec(cmd, opts, (err, stdout, stderr) => {
+      if (err && err.killed && this.timeout) err = new Error(`timed out after ${this.timeout / 1000}s: ${cmd}`);
+      callback(err, stdout, stderr);
+    });
+  }
+
+  // callback(err) once the on/off command finished; no command configured counts as success
+  set (on, callback) {
+    const cmd = this.command(on);
+    if (!cmd) {
+      callback(null);
+      return;
+    }
+    this.run(cmd, (err) => callback(err || null));
+  }
+
+  // callback(err, state) with state true/false, or null if the output could not be read
+  query (callback) {
+    if (!this.canQuery()) {
+      callback(null, null);
+      return;
+    }
+    this.run(this.commands.status, (err, stdout) => {
+      if (err) {
+        callback(err, null);
+        return;
+      }
+      callback(null, this.parse(stdout));
+    });
+  }
+}
+
+module.exports = { DisplayBackend, DISPLAY_BACKENDS: Object.keys(BACKENDS) };
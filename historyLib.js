@@ -0,0 +1,173 @@
+/**
+ * historyLib.js
+ * Presence history for MMM-PresenceScreenControl: presence, screen and schedule transitions
+ * as JSON lines in a size-rotated log, and daily aggregates computed from it.
+ *
+ *   {"ts":1760853600000,"type":"presence","value":true,"sources":["pir"],"sensor":true}
+ *   {"ts":1760853600420,"type":"screen","on":true,"reason":"presence"}
+ *   {"ts":1760857200000,"type":"schedule","alwaysOn":false,"ignore":true,"override":null}
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (JSONL history with rotation, daily statistics)
+ */
+
+const fs = require("fs");
+
+// Local calendar day "YYYY-MM-DD" of a timestamp (ms)
+function dayKey (ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function dayBounds (day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return [new Date(y, m - 1, d).getTime(), new Date(y, m - 1, d + 1).getTime()];
+}
+
+class HistoryLog {
+  /**
+   * @param {string} file - Path of the current log; rotated logs get ".1" (newest) .. ".<keep>"
+   * @param {object} options - { maxBytes, keep }
+   */
+  constructor (file, options = {}) {
+    this.file = file;
+    this.maxBytes = Number(options.maxBytes) > 0 ? Number(options.maxBytes) : 1024 * 1024;
+    this.keep = Number.isInteger(options.keep) && options.keep >= 0 ? options.keep : 3;
+  }
+
+  // Synchronous so events land in order; transitions are rare. Throws on write errors.
+  append (event) {
+    let size = 0;
+    try {
+      size = fs.statSync(this.file).size;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    if (size >= this.maxBytes) this.rotate();
+    fs.appendFileSync(this.file, JSON.stringify(event) + "\n");
+  }
+
+  rotate () {
+    for (let i = this.keep; i >= 1; i--) {
+      const from = i === 1 ? this.file : `${this.file}.${i - 1}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i}`);
+    }
+    if (this.keep === 0 && fs.existsSync(this.file)) fs.unlinkSync(this.file);
+  }
+
+  // Oldest first
+  files () {
+    const list = [];
+    for (let i = this.keep; i >= 1; i--) list.push(`${this.file}.${i}`);
+    list.push(this.file);
+    return list;
+  }
+
+  // callback(err, events) with all events of all files, oldest first; broken lines are skipped
+  read (callback) {
+    const events = [];
+    const files = this.files();
+    const next = (i) => {
+      if (i >= files.length) {
+        callback(null, events);
+        return;
+      }
+      fs.readFile(files[i], "utf8", (err, text) => {
+        if (err && err.code !== "ENOENT") {
+          callback(err, null);
+          return;
+        }
+        (text || "").split("\n").forEach(line => {
+          if (!line) return;
+          try {
+            const ev = JSON.parse(line);
+            if (ev && typeof ev.ts === "number") events.push(ev);
+          } catch {
+            // half-written line after a crash
+          }
+        });
+        next(i + 1);
+      });
+    };
+    next(0);
+  }
+}
+
+/**
+ * Aggregates for one local day. Screen and presence intervals are clipped to the day (or to
+ * `now` for today). A false trigger is a screen-on caused by sensor presence alone (no touch
+ * or wakeup) whose presence added up to less than `falseTriggerSeconds` before the screen
+ * went off again: a PIR blip or a very quick walk-by.
+ * @param {Array} events - HistoryLog.read() result
+ * @param {string} day - "YYYY-MM-DD"
+ * @param {object} options - { falseTriggerSeconds, now }
+ * @returns {object} { date, screenOnMinutes, wakeups, falseTriggers, presenceCount, presenceMinutes }
+ */
+function dailyStats (events, day, options = {}) {
+  const [dayStart, nextDay] = dayBounds(day);
+  const dayEnd = Math.min(nextDay, options.now || Date.now());
+  const limitMs = (Number(options.falseTriggerSeconds) || 0) * 1000;
+  const overlap = (from, to) => Math.max(0, Math.min(to, dayEnd) - Math.max(from, dayStart));
+  const inDay = (ts) => ts >= dayStart && ts < dayEnd;
+
+  const stats = { date: day, screenOnMinutes: 0, wakeups: 0, falseTriggers: 0, presenceCount: 0, presenceMinutes: 0 };
+  let screenSince = null;
+  let presenceSince = null;
+  let presenceSensor = true;
+  let period = null;   // current screen-on period: { start, reason, presenceMs, sensorOnly }
+  let screenMs = 0;
+  let presenceMs = 0;
+
+  const endPresence = (ts) => {
+    presenceMs += overlap(presenceSince, ts);
+    if (period) {
+      period.presenceMs += ts - presenceSince;
+      if (!presenceSensor) period.sensorOnly = false;
+    }
+    presenceSince = null;
+  };
+  const endPeriod = () => {
+    if (period && inDay(period.start) && period.reason === "presence" && period.sensorOnly && period.presenceMs < limitMs) {
+      stats.falseTriggers++;
+    }
+    period = null;
+  };
+
+  for (const ev of events) {
+    if (ev.ts >= dayEnd) break;
+    if (ev.type === "presence") {
+      if (ev.value && presenceSince === null) {
+        presenceSince = ev.ts;
+        presenceSensor = ev.sensor !== false;
+        if (inDay(ev.ts)) stats.presenceCount++;
+      } else if (!ev.value && presenceSince !== null) {
+        endPresence(ev.ts);
+      }
+    } else if (ev.type === "screen") {
+      if (ev.on && screenSince === null) {
+        screenSince = ev.ts;
+        if (inDay(ev.ts)) stats.wakeups++;
+        period = { start: ev.ts, reason: ev.reason, presenceMs: 0, sensorOnly: true };
+        // The presence that woke the screen was logged just before it
+        if (presenceSince !== null && !presenceSensor) period.sensorOnly = false;
+      } else if (!ev.on && screenSince !== null) {
+        screenMs += overlap(screenSince, ev.ts);
+        screenSince = null;
+        if (presenceSince !== null && period) period.presenceMs += ev.ts - presenceSince;
+        endPeriod();
+      }
+    }
+  }
+  // Still on / still present at the end of the day (or now)
+  if (screenSince !== null) screenMs += overlap(screenSince, dayEnd);
+  if (presenceSince !== null) presenceMs += overlap(presenceSince, dayEnd);
+
+  stats.screenOnMinutes = Math.round(screenMs / 6000) / 10;
+  stats.presenceMinutes = Math.round(presenceMs / 6000) / 10;
+  return stats;
+}
+
+module.exports = { HistoryLog, dailyStats, dayKey };
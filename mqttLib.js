@@ -0,0 +1,225 @@
+/**
+ * mqttLib.js
+ * Shared MQTT connection for MMM-PresenceScreenControl. Presence topics, the Home Assistant
+ * integration and the MQTT API all run over one client, which adds what the plain mqtt.connect
+ * calls lacked: TLS with CA / client certificate files, client ID, keepalive, reconnect backoff,
+ * one retained availability topic with LWT, and a connection state for PRESENCE_UPDATE.
+ *
+ *   const conn = new MqttConnection("mqtts://broker:8883", { ca: "certs/ca.pem", ... }, log);
+ *   conn.subscribe(["home/hall/pir"], 0, (topic, message) => { ... });
+ *   conn.onConnect(() => { ... });   // every (re)connect
+ *   conn.connect();
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (one managed connection with TLS, backoff, shared LWT)
+ * Modified: 2026-10-19 - end() no longer waits forever for the "offline" ack
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mqtt = require("mqtt");
+
+const OFFLINE_FLUSH_MS = 2000;   // end() waits this long for the broker to ack "offline"
+
+// MQTT filter match incl. "+" and "#" wildcards
+function topicMatches (filter, topic) {
+  if (filter === topic) return true;
+  const f = filter.split("/");
+  const t = topic.split("/");
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === "#") return true;
+    if (i >= t.length) return false;
+    if (f[i] !== "+" && f[i] !== t[i]) return false;
+  }
+  return f.length === t.length;
+}
+
+// Relative paths are taken from baseDir (the module folder)
+function readPemFile (file, baseDir, what) {
+  const p = path.isAbsolute(file) ? file : path.join(baseDir || "", file);
+  try {
+    return fs.readFileSync(p);
+  } catch (err) {
+    throw new Error(`cannot read ${what} file ${p}: ${err.code || err.message}`);
+  }
+}
+
+/**
+ * mqtt.js connect options (without will and reconnectPeriod).
+ * @param {object} opts - { username, password, clientId, keepalive, connectTimeout, ca, cert, key, rejectUnauthorized, baseDir }
+ * @returns {object}
+ * @throws {Error} if a certificate or key file cannot be read
+ */
+function buildConnectOptions (opts) {
+  const options = {
+    queueQoSZero: false,
+    keepalive: Number(opts.keepalive) >= 0 ? Number(opts.keepalive) : 60,
+    connectTimeout: (Number(opts.connectTimeout) > 0 ? Number(opts.connectTimeout) : 30) * 1000
+  };
+  if (opts.username) options.username = opts.username;
+  if (opts.password) options.password = opts.password;
+  if (opts.clientId) options.clientId = String(opts.clientId);
+  if (opts.ca) options.ca = readPemFile(opts.ca, opts.baseDir, "CA");
+  if (opts.cert) options.cert = readPemFile(opts.cert, opts.baseDir, "client certificate");
+  if (opts.key) options.key = readPemFile(opts.key, opts.baseDir, "client key");
+  if (opts.cert && !opts.key) throw new Error("a client certificate needs its key file");
+  // Only meaningful for mqtts:// / wss://; mqtt.js ignores it otherwise
+  options.rejectUnauthorized = opts.rejectUnauthorized !== false;
+  return options;
+}
+
+class MqttConnection {
+  /**
+   * @param {string} server - mqtt://, mqtts://, ws:// or wss:// URL
+   * @param {object} options - buildConnectOptions() options plus reconnectMin / reconnectMax (s)
+   *   and availability { topic, online, offline, qos } (retained, offline as LWT)
+   * @param {function(string)} log
+   */
+  constructor (server, options = {}, log = () => {}) {
+    this.server = server;
+    this.options = options;
+    this.log = log;
+    this.client = null;
+    this.subscriptions = [];     // { filters, qos, handler }
+    this.connectHandlers = [];
+    this.stateHandlers = [];
+    this.minDelay = Number(options.reconnectMin) > 0 ? Number(options.reconnectMin) : 1;
+    this.maxDelay = Math.max(this.minDelay, Number(options.reconnectMax) > 0 ? Number(options.reconnectMax) : 60);
+    this.delay = this.minDelay;
+    this.state = "idle";
+    this.since = Date.now();
+    this.lastError = null;
+    this.reconnects = 0;
+  }
+
+  get connected () {
+    return !!this.client && this.client.connected;
+  }
+
+  get availabilityTopic () {
+    return this.options.availability ? this.options.availability.topic : null;
+  }
+
+  // handler(topic, message) for messages matching any of the filters; kept across reconnects
+  subscribe (filters, qos, handler) {
+    const sub = { filters: [].concat(filters), qos: qos || 0, handler: handler };
+    this.subscriptions.push(sub);
+    if (this.connected) this.subscribeOnBroker([sub]);
+  }
+
+  onConnect (handler) {
+    this.connectHandlers.push(handler);
+  }
+
+  // handler(status) on every state change
+  onStateChange (handler) {
+    this.stateHandlers.push(handler);
+  }
+
+  // Throws if the TLS files cannot be read. A second call replaces the running client.
+  connect () {
+    const options = buildConnectOptions(this.options);
+    this.end();
+    options.reconnectPeriod = this.minDelay * 1000;
+    const avail = this.options.availability;
+    if (avail && avail.topic) {
+      options.will = { topic: avail.topic, payload: avail.offline, retain: true, qos: avail.qos || 0 };
+    }
+    const client = mqtt.connect(this.server, options);
+    this.client = client;
+    this.setState("connecting");
+    // Late events of a client that was ended or replaced are ignored
+    const current = () => client === this.client;
+
+    // Runs on every (re)connect: the broker forgets our subscriptions with a clean session
+    client.on("connect", () => {
+      if (!current()) return;
+      this.delay = this.minDelay;
+      client.options.reconnectPeriod = this.minDelay * 1000;
+      this.lastError = null;
+      this.log(`[MQTT] connected to ${this.server}`);
+      if (avail && avail.topic) client.publish(avail.topic, avail.online, { retain: true, qos: avail.qos || 0 });
+      this.subscribeOnBroker(this.subscriptions);
+      this.setState("connected");
+      this.connectHandlers.forEach(fn => fn());
+    });
+    client.on("message", (topic, message) => {
+      if (!current()) return;
+      for (const sub of this.subscriptions) {
+        if (sub.filters.some(f => topicMatches(f, topic))) sub.handler(topic, message);
+      }
+    });
+    // mqtt.js reads reconnectPeriod when the connection drops, so doubling it here stretches the next wait
+    client.on("reconnect", () => {
+      if (!current()) return;
+      this.reconnects++;
+      this.delay = Math.min(this.maxDelay, this.delay * 2);
+      client.options.reconnectPeriod = this.delay * 1000;
+      this.setState("reconnecting");
+    });
+    client.on("close", () => {
+      if (!current()) return;
+      if (this.state === "connected") this.log("[MQTT] connection closed");
+      this.setState("disconnected");
+    });
+    client.on("error", (err) => {
+      if (!current()) return;
+      this.lastError = String((err && err.message) || err);
+      this.log("[MQTT] connection error: " + this.lastError);
+    });
+  }
+
+  subscribeOnBroker (subs) {
+    const map = {};
+    subs.forEach(sub => sub.filters.forEach(f => { map[f] = { qos: Math.max(sub.qos, map[f] ? map[f].qos : 0) }; }));
+    if (Object.keys(map).length === 0) return;
+    this.client.subscribe(map, (err) => {
+      if (err) this.log("[MQTT] subscribe error: " + err);
+      else this.log("[MQTT] subscribed to " + Object.keys(map).join(", "));
+    });
+  }
+
+  // qos > 0 messages are queued by mqtt.js while disconnected, qos 0 ones dropped
+  publish (topic, payload, options, callback) {
+    if (!this.client) return;
+    this.client.publish(topic, payload, options || {}, callback);
+  }
+
+  setState (state) {
+    if (state === this.state) return;
+    this.state = state;
+    this.since = Date.now();
+    const status = this.status();
+    this.stateHandlers.forEach(fn => fn(status));
+  }
+
+  status () {
+    return { state: this.state, since: this.since, error: this.lastError, reconnects: this.reconnects };
+  }
+
+  // Publishes offline first (the LWT only fires on unclean disconnects), then closes
+  end () {
+    const client = this.client;
+    if (!client) return;
+    this.client = null;
+    // No state handlers here: the owner is shutting down
+    this.state = "closed";
+    this.since = Date.now();
+    const avail = this.options.availability;
+    if (avail && avail.topic && client.connected) {
+      // end inside the callback so the message is flushed; force it if the broker never acks
+      const timer = setTimeout(() => client.end(true), OFFLINE_FLUSH_MS);
+      if (timer.unref) timer.unref();
+      client.publish(avail.topic, avail.offline, { retain: true, qos: avail.qos || 0 }, () => {
+        clearTimeout(timer);
+        client.end(false, {}, () => {});
+      });
+    } else {
+      client.end(true);
+    }
+  }
+}
+
+module.exports = { MqttConnection, topicMatches, buildConnectOptions };
@@ -15,18 +15,170 @@
  * Modified: 2026-06-06 - Seed startup grace before sensor start; suppress counter-loop restart when no countdown remains
  * Modified: 2026-08-18 - Add native Home Assistant MQTT-Discovery switch (dedicated haClient, haPresence source, state/availability topics)
  * Modified: 2026-08-20 - HA: expose PIR/presence as binary_sensor(s) (exposePresence occupancy/motion); switch is now the device main entity (fixes doubled entity_id)
+ * Modified: 2026-10-19 - Replace hard-coded pir/mqtt/touch/ha presence flags with a named source registry (config.sources, legacy mode mapped)
+ * Modified: 2026-10-19 - Multiple MQTT presence topics (mqttTopics) with per-topic field/payloadOn/timeout, forceOff topics
+ * Modified: 2026-10-19 - Boolean presence rules (presenceRule: AND/OR/NOT over source names) replace the fixed OR
+ * Modified: 2026-10-19 - MQTT field expressions: nested/JSONPath-like paths and comparisons (payloadLib), coercePresence moved there
+ * Modified: 2026-10-19 - Stale-sensor watchdog: per-topic maxSilence marks silent MQTT sources absent+stale (PRESENCE_UPDATE, log, HA problem sensor)
+ * Modified: 2026-10-19 - Schedule windows via scheduleLib: cron expressions, date ranges/exceptions, one-shot dates; explicit overlap resolution
+ * Modified: 2026-10-19 - Sun anchors (sunrise/sunset/civil twilight +- offset) for window from/to, from config latitude/longitude
+ * Modified: 2026-10-19 - Runtime schedule overrides (alwaysOn/ignore for a duration or until HH:MM) via notification, MQTT topic and HA number entities; central runCommand dispatcher
+ * Modified: 2026-10-19 - Persist locked/override/counter/screenOn to psc-state.json and restore it on CONFIG (persistState, persistStateMaxAge)
+ * Modified: 2026-10-19 - Optional HTTP API on the MagicMirror Express app (status + wakeup/end/lock/unlock/override), token auth
+ * Modified: 2026-10-19 - Wakeup socket speaks a line protocol (wakeup/end/lock/unlock/status/override/subscribe); configurable path and mode
+ * Modified: 2026-10-19 - Screen switching through pluggable display backends (displayLib.js); onCommand/offCommand stay as "custom" fallback
+ * Modified: 2026-10-19 - Poll the real screen power state (statusCommand / backend query) and reapply or adopt on drift
+ * Modified: 2026-10-19 - Screen commands with timeout and retries (backoff); screenOn changes only on success; lastCommandResult in status and HA
+ * Modified: 2026-10-19 - Hardware auto-dim via brightness backends (brightnessLib.js: sysfs backlight, ddcutil, command)
+ * Modified: 2026-10-19 - Multi-stage dim profiles (dimStages, dimLib.js): dimLevel computed per counter tick for CSS and hardware
+ * Modified: 2026-10-19 - Ambient light (MQTT or sysfs lux): lux-to-level curves for full/dimmed brightness, optional dark = ignore presence
+ * Modified: 2026-10-19 - Adaptive timeout (adaptiveLib.js): per-hour visit statistics in psc-adaptive.json, effectiveTimeout in PRESENCE_UPDATE
+ * Modified: 2026-10-19 - Presence history (historyLib.js): JSONL log of presence/screen/schedule transitions, daily stats as HISTORY_STATS
+ * Modified: 2026-10-19 - Energy estimate (energy.wattsOn/Dimmed/Standby): used/saved kWh in PRESENCE_UPDATE and as HA energy sensors
+ * Modified: 2026-10-19 - Live settings (applySetting, SETTINGS_UPDATE); HA number/switch/select entities for them (homeAssistant.exposeSettings)
+ * Modified: 2026-10-19 - HA countdown / dimmed / mode / off-time entities (homeAssistant.exposeStatus), rate-limited JSON state
+ * Modified: 2026-10-19 - Generic MQTT API (mqttApi): retained status, command topics, availability/LWT shared with the HA client
+ * Modified: 2026-10-19 - One shared MQTT connection (mqttLib.js) for sensors, HA and mqttApi: TLS, client ID, keepalive, backoff; state in PRESENCE_UPDATE
+ * Modified: 2026-10-19 - Peer group (peerGroup): publish local presence to a group topic, peers as "peer:<id>" sources with delay / shorter timeout, shared END
  */
 
 
 const NodeHelper = require("node_helper");
-const { exec } = require("child_process");
-const mqtt = require("mqtt");
 const net = require("net");
 const fs = require("fs");
 const path = require("path");
+const { timingSafeEqual } = require("crypto");
 const PIR = require("./pirLib");
+const SourceRegistry = require("./sourceLib");
+const { compileRule } = require("./ruleLib");
+const { compileFieldExpression, extractNumber } = require("./payloadLib");
+const { compileWindows, activeWindow } = require("./scheduleLib");
+const { DisplayBackend } = require("./displayLib");
+const { BrightnessBackend } = require("./brightnessLib");
+const { compileDimStages, dimLevelAt, interpolateCurve } = require("./dimLib");
+const { createStats, normalizeStats, recordVisit, effectiveTimeout } = require("./adaptiveLib");
+const { HistoryLog, dailyStats, dayKey } = require("./historyLib");
+const { MqttConnection, topicMatches } = require("./mqttLib");
+
+const DRIFT_ACTIONS = ["reapply", "adopt"];
+
+// --- Ambient light (nested config block: MagicMirror merges defaults shallowly) ---
+const AMBIENT_DEFAULTS = {
+  enabled: false,
+  mqttTopic: "",
+  field: "illuminance",
+  sysfsPath: "",
+  pollInterval: 10,
+  scale: 1,
+  curve: [[0, 0.2], [50, 0.6], [300, 1]],
+  dimCurve: [],
+  darkBelow: 0
+};
+
+// --- Adaptive timeout (nested config block, same shallow-merge caveat) ---
+const ADAPTIVE_DEFAULTS = {
+  enabled: false,
+  min: 30,
+  max: 600,
+  factor: 0.5,
+  minSamples: 5
+};
+const ADAPTIVE_FILE_NAME = "psc-adaptive.json";
+
+// --- The one MQTT connection shared by sensors, HA and mqttApi (nested config block) ---
+const MQTT_CONNECTION_DEFAULTS = {
+  clientId: "",
+  keepalive: 60,
+  connectTimeout: 30,
+  reconnectMin: 2,
+  reconnectMax: 60,
+  ca: "",
+  cert: "",
+  key: "",
+  rejectUnauthorized: true,
+  availabilityTopic: ""
+};
+
+// --- Generic MQTT API (nested config block), independent of Home Assistant ---
+const MQTT_API_DEFAULTS = {
+  enabled: false,
+  topicPrefix: "magicmirror/psc",
+  qos: 0,
+  retain: true,
+  statusInterval: 10
+};
+const MQTT_API_COMMANDS = ["wakeup", "end", "lock", "unlock", "override", "clearoverride"];
+
+// --- Multi-mirror peer group over MQTT (nested config block) ---
+const PEER_GROUP_DEFAULTS = {
+  enabled: false,
+  topic: "magicmirror/psc-group",
+  id: "",
+  peers: [],
+  shareEnd: false
+};
+const PEER_HEARTBEAT_S = 60;      // local presence is repeated this often while it lasts ...
+const PEER_EXPIRY_S = 150;        // ... so a peer that went away silently drops out after this
+
+// --- Settings that can change at runtime (applySetting); the frontend gets them as SETTINGS_UPDATE ---
+const DEBUG_LEVELS = ["off", "simple", "complex"];
+const LIVE_SETTINGS = ["counterTimeout", "autoDimmerTimeout", "autoDimmerOpacity", "ecoMode", "debug"];
+const COUNTER_TIMEOUT_MIN = 10;   // live counterTimeout changes (HA number entity and API alike)
+
+// HA entities for homeAssistant.exposeSettings ("locked" goes through runCommand lock/unlock)
+const HA_SETTING_ENTITIES = [
+  { key: "counterTimeout", slug: "counter_timeout", component: "number", name: "Screen timeout", min: COUNTER_TIMEOUT_MIN, max: 3600, step: 10, unit: "s", icon: "mdi:timer-outline" },
+  { key: "autoDimmerTimeout", slug: "dimmer_timeout", component: "number", name: "Dim before off", min: 0, max: 3600, step: 5, unit: "s", icon: "mdi:timer-sand" },
+  { key: "autoDimmerOpacity", slug: "dimmer_opacity", component: "number", name: "Dim level", min: 0, max: 1, step: 0.05, icon: "mdi:brightness-6" },
+  { key: "locked", slug: "locked", component: "switch", name: "Locked", icon: "mdi:lock" },
+  { key: "ecoMode", slug: "eco_mode", component: "switch", name: "Eco mode", icon: "mdi:leaf" },
+  { key: "debug", slug: "debug", component: "select", name: "Debug level", options: DEBUG_LEVELS, icon: "mdi:bug" }
+];
+
+// --- Presence history (nested config block) ---
+const HISTORY_DEFAULTS = {
+  enabled: false,
+  file: "",
+  maxSizeKB: 1024,
+  keep: 3,
+  falseTriggerSeconds: 3
+};
+const HISTORY_FILE_NAME = "psc-history.jsonl";
+
+// --- Energy estimate (nested config block) ---
+const ENERGY_DEFAULTS = {
+  enabled: false,
+  wattsOn: 30,
+  wattsDimmed: 20,
+  wattsStandby: 0.5,
+  showInDom: false
+};
+const ENERGY_FILE_NAME = "psc-energy.json";
+const ENERGY_TICK_MS = 60 * 1000;   // accrue + publish at least once a minute
+const ENERGY_SAVE_TICKS = 10;       // write psc-energy.json every 10 minutes (and on stop)
 
 const WAKEUP_SOCKET_NAME = "mmm-psc-wakeup.sock";
+const WAKEUP_LEGACY_PINGS = ["", "1", "ping"];   // old wakeup.sh sent "1": still a plain wakeup
+const WAKEUP_MAX_LINE = 1024;
+const STATE_FILE_NAME = "psc-state.json";        // persisted runtime state, in the module dir
+const STATE_SAVE_DELAY_MS = 1000;                 // coalesce bursts of changes into one write
+// Why runCommand returned false, for the socket, HTTP and MQTT API answers
+const COMMAND_ERRORS = { wakeup: "wakeup source not enabled", override: "invalid override" };
+
+// --- HTTP API (routes live under /<module name>/ on the MagicMirror server) ---
+const HTTP_COMMANDS = ["wakeup", "end", "lock", "unlock"];
+const HTTP_MAX_BODY = 4096;
+
+// --- Presence sources ---
+const KNOWN_SOURCES = ["pir", "mqtt", "touch", "wakeup", "ha"];
+const PULSE_SOURCES = ["touch", "wakeup"];        // momentary triggers, auto-reset after PULSE_RESET_MS
+const LEGACY_CONTROL_SOURCES = ["touch", "wakeup", "ha"];  // always on when sources are derived from "mode"
+const PULSE_RESET_MS = 100;
+const MQTT_SOURCE_PREFIX = "mqtt:";               // named MQTT topics register as "mqtt:<name>"
+const PEER_SOURCE_PREFIX = "peer:";               // peerGroup.peers register as "peer:<id>"
+
+// --- Runtime schedule overrides ---
+const OVERRIDE_MODES = ["alwaysOn", "ignore"];
 
 // --- Home Assistant MQTT integration constants ---
 const HA_BASE_NS = "magicmirror";          // topic namespace for command/state/availability (distinct from sensor topic)
@@ -35,13 +187,21 @@ const HA_STATE_SUFFIX = "/state";
 const HA_AVAIL_SUFFIX = "/availability";
 const HA_PRESENCE_SUFFIX = "/presence";   // occupancy binary_sensor state topic
 const HA_MOTION_SUFFIX = "/motion";       // motion binary_sensor state topic
+const HA_STALE_SUFFIX = "/stale";         // problem binary_sensor state topic (+ "/attributes")
+const HA_OVERRIDE_SUFFIX = "/override/";  // + "alwayson" | "ignore" (number state), + "/set" (command)
+const HA_OVERRIDE_MAX_MIN = 1440;
+const HA_COMMAND_RESULT_SUFFIX = "/command_result";  // json attributes of the switch (last screen command)
+const HA_ENERGY_SUFFIX = "/energy";       // energy sensors state (JSON: used_kwh, saved_kwh)
+const HA_SETTING_SUFFIX = "/setting/";    // + slug (state), + slug + "/set" (command)
+const HA_STATUS_SUFFIX = "/status";       // countdown/dimmed/mode/off_at entities (JSON)
+const HA_STATUS_MODES = ["normal", "alwaysOn", "ignore", "locked", "startupGrace"];
+const HA_STATUS_INTERVAL_S = 10;          // default homeAssistant.statusInterval: countdown publishes at most this often
 const HA_DEFAULT_OBJECT_ID = "magicmirror_screen";
 const HA_DEFAULT_DISCOVERY_PREFIX = "homeassistant";
 const HA_PAYLOAD_ON = "ON";
 const HA_PAYLOAD_OFF = "OFF";
 const HA_AVAIL_ONLINE = "online";
 const HA_AVAIL_OFFLINE = "offline";
-const HA_RECONNECT_MS = 5000;
 const HA_QOS = 1;          // discovery, availability, command-subscribe, LWT
 const HA_STATE_QOS = 0;    // state publishes
 
@@ -54,13 +214,51 @@ module.exports = NodeHelper.create({
     this.alwaysOn = false;
     this.ignoreActive = false;
     this.config = {};
-    this.mqttClient = null;
+    this.mqtt = null;                // MqttConnection shared by sensors, HA and mqttApi
+    this.mqttTopicDefs = [];
+    this.mqttHoldTimers = {};
     this.pirInstance = null;
-    this.pirPresence = false;
-    this.mqttPresence = false;
-    this.touchPresence = false;
-    this.touchTimer = null;
+    this.sources = new SourceRegistry();
+    this.pulseTimers = {};
+    this.presenceRules = [];
+    this.ruleSources = [];
     this.alwaysOnWindow = null;
+    this.alwaysOnSchedule = [];
+    this.ignoreSchedule = [];
+    this.override = null;
+    this.stateSaveTimer = null;
+    this.httpRoutesRegistered = false;
+    this.display = null;
+    this.screenCommandPending = false;
+    this.screenTarget = null;        // state being applied; screenOn follows once the command succeeded
+    this.screenAttempt = 0;
+    this.screenRetryTimer = null;
+    this.lastCommandResult = null;
+    this.screenPollInterval = null;
+    this.brightness = null;          // optional hardware dim backend
+    this.dimStages = [];             // compiled dimStages; empty = classic single-stage auto-dim
+    this.brightnessDimLevel = 1;     // dim level last applied to the hardware (1 = not dimmed)
+    this.brightnessAmbientLevel = null;
+    this.effectiveTimeout = 0;       // countdown length in use; counterTimeout unless adaptiveTimeout learns otherwise
+    this.adaptiveStats = null;
+    this.visitStart = null;          // ms of the first presence of the current visit
+    this.visitLastSeen = null;
+    this.history = null;             // HistoryLog when historyLog.enabled
+    this.historyDay = null;          // local day of the last cron tick, to spot midnight
+    this.ambientLux = null;
+    this.ambientDark = false;
+    this.ambientPollTimer = null;
+    this.brightnessFull = null;      // level to restore on presence (read before dimming)
+    this.brightnessLevel = null;
+    this.brightnessFadeTimer = null;
+    this.brightnessFadeToken = 0;
+    this.energy = null;              // { since, usedWh, baselineWh } when energy.enabled
+    this.energyWatts = null;         // draw since the last accrual (null = screen state unknown)
+    this.energyLastAccrual = null;
+    this.energyTimer = null;
+    this.energyTicks = 0;
+    this.wakeupSubscribers = new Set();
+    this.wakeupLastBroadcast = null;
     this.cronInterval = null;
     this.prevAlwaysOn = false;
     this.prevIgnoreActive = false;
@@ -69,30 +267,49 @@ module.exports = NodeHelper.create({
     this.wakeupSocketPath = null;
     this.locked = false;
     this.startupGraceExpiry = null;
-    this.haClient = null;
-    this.haPresence = false;
     this.haTopics = null;
     this.haExpose = null;
     this.haLastPresence = null;
     this.haLastPir = null;
+    this.haLastStale = null;
+    this.haLastOverride = null;
+    this.haLastEnergy = null;
+    this.haLastSettings = null;
+    this.haLastStatus = null;        // { mode, dimmed, counter, offAt, at } of the last status publish
+    this.apiTopics = null;
+    this.apiLastKey = null;          // state key / full JSON / time of the last status publish
+    this.apiLastJson = null;
+    this.apiLastAt = 0;
+    this.peerDefs = [];              // normalized peerGroup.peers
+    this.peerTopics = null;
+    this.peerTimers = {};            // id -> { delay, expiry }
+    this.peerLastPresence = null;    // local presence last published to the group, and when
+    this.peerLastAt = 0;
   },
 
   stop: function () {
     if (this.timer) clearInterval(this.timer);
     if (this.cronInterval) clearInterval(this.cronInterval);
-    if (this.touchTimer) clearTimeout(this.touchTimer);
+    this.stopScreenPoll();
+    this.clearScreenRetry();
+    this.display = null;            // late command callbacks see this and stay quiet
+    this.stopBrightness();
+    this.stopAmbientLight();
+    this.stopEnergy();
+    this.clearPulseTimers();
     if (this.pirInstance) {
       this.pirInstance.stop();
       this.pirInstance = null;
     }
-    if (this.mqttClient) {
-      try {
-        this.mqttClient.end();
-      } catch (e) {}
-      this.mqttClient = null;
-    }
-    this.stopHomeAssistant();
+    this.clearMqttHoldTimers();
+    this.clearPeerTimers();
+    this.stopMqtt();
     this.stopWakeupListener();
+    if (this.stateSaveTimer) {
+      clearTimeout(this.stateSaveTimer);
+      this.stateSaveTimer = null;
+    }
+    this.saveState();
   },
 
   log: function (msg, level = "simple") {
@@ -115,6 +332,10 @@ module.exports = NodeHelper.create({
 
   socketNotificationReceived: function (notification, payload) {
     if (notification === "CONFIG") {
+      // MagicMirror sends CONFIG again on every browser reload: start over with a fresh connection
+      this.stopMqtt();
+      this.clearPeerTimers();
+      this.stopWakeupListener();
       this.config = payload;
       if (this.config.autoDimmer && this.config.autoDimmerTimeout >= this.config.counterTimeout) {
         this.config.autoDimmerTimeout = Math.max(0, this.config.counterTimeout - 1);
@@ -128,6 +349,17 @@ module.exports = NodeHelper.create({
         this.config.autoDimmerOpacity = clamped;
       }
       this.log("Received config: " + JSON.stringify(this.config), "simple");
+      this.effectiveTimeout = this.config.counterTimeout;
+      this.dimStages = this.config.autoDimmer
+        ? compileDimStages(this.config.dimStages, this.config.counterTimeout, msg => console.error("PresenceControl: " + msg))
+        : [];
+      if (this.dimStages.length > 0) {
+        this.log("[dim] stages: " + this.dimStages.map(s => `${s.start}s->${s.to} (${s.curve}, ${s.duration}s)`).join(", "), "simple");
+      }
+      this.setupAdaptiveTimeout();
+      this.setupHistory();
+      this.setupEnergy();
+      this.compileSchedules();
       // Seed startup grace state BEFORE sensor/cron start so async sensor init events
       // (e.g. PIR initial-state read) see the correct alwaysOn=true and route accordingly.
       if (this.config.startupGracePeriod > 0) {
@@ -142,42 +374,440 @@ module.exports = NodeHelper.create({
         this.prevAlwaysOn = true;
         this.log(`[startupGrace] active (${this.config.startupGracePeriod}s)`, "complex");
       }
-      if (this.config.mode === "PIR" || this.config.mode === "PIR_MQTT") {
+      this.display = this.createDisplayBackend();
+      this.stopBrightness();
+      this.brightness = this.createBrightnessBackend();
+      const restored = this.restoreState();
+      this.buildSourceRegistry();
+      this.buildPresenceRules();
+      if (this.sources.has("pir")) {
         this.startPirSensor();
       }
-      if (this.config.mode === "MQTT" || this.config.mode === "PIR_MQTT") {
+      this.mqttTopicDefs = this.buildMqttTopicDefs();
+      this.startAmbientLight();
+      if (this.mqttTopicDefs.some(def => !def.forceOff) || this.config.mqttOverrideTopic || this.ambientMqttTopic()) {
         this.startMqtt();
       }
       this.startCronMonitor();
       if (this.config.homeAssistant && this.config.homeAssistant.enabled) {
         this.startHomeAssistant();
       }
+      if (this.mqttApiConfig().enabled) {
+        this.startMqttApi();
+      }
+      if (this.peerGroupConfig().enabled) {
+        this.startPeerGroup();
+      }
+      this.connectMqtt();
       if (this.config.treatExternalWakeupAsPresence) {
         this.startWakeupListener();
       }
+      if (this.config.httpApi && this.config.httpApi.enabled) {
+        this.startHttpApi();
+      }
+      this.startScreenPoll();
+      if (restored) {
+        // Re-apply the last known screen state instead of guessing it
+        this.evaluateSchedule(new Date());
+        if (typeof restored.screenOn === "boolean") this.updateScreen(restored.screenOn);
+        if (this.counter > 0) this.startCounter();
+      }
       this.updatePresence();
     } else if (notification === "TOUCH_EVENT") {
       this.handleTouch(payload);
     } else if (notification === "EXT_WAKEUP") {
-      this.log("External notification: WAKEUP", "simple");
-      this.triggerPresence();
+      this.runCommand("wakeup", undefined, "notification");
     } else if (notification === "EXT_END") {
-      this.log("External notification: END (force screen off)", "simple");
-      this.forceScreenOff();
+      this.runCommand("end", undefined, "notification");
     } else if (notification === "EXT_LOCK") {
-      this.log("External notification: LOCK", "simple");
-      this.locked = true;
-      this.sendPresenceUpdate();
+      this.runCommand("lock", undefined, "notification");
     } else if (notification === "EXT_UNLOCK") {
-      this.log("External notification: UNLOCK", "simple");
-      this.locked = false;
-      this.updatePresence();
+      this.runCommand("unlock", undefined, "notification");
+    } else if (notification === "EXT_OVERRIDE") {
+      this.runCommand("override", payload, "notification");
+    } else if (notification === "EXT_OVERRIDE_CLEAR") {
+      this.runCommand("clearOverride", undefined, "notification");
+    } else if (notification === "EXT_GET_STATS") {
+      this.emitHistoryStats(dayKey(Date.now()), false);
+    }
+  },
+
+  // --- Commands: one entry point for every control channel (notifications, MQTT, HA, ...) ---
+
+  runCommand: function (command, arg, origin) {
+    const cmd = String(command || "").toLowerCase();
+    this.log(`[command] ${cmd} from ${origin}` + (arg !== undefined ? ` (${JSON.stringify(arg)})` : ""), "simple");
+    switch (cmd) {
+      case "wakeup":
+        return this.triggerPresence("wakeup");
+      case "end":
+        this.forceScreenOff();
+        this.sharePeerEnd(origin);
+        return true;
+      case "lock":
+        this.locked = true;
+        this.scheduleStateSave();
+        this.sendPresenceUpdate();
+        return true;
+      case "unlock":
+        this.locked = false;
+        this.scheduleStateSave();
+        this.updatePresence();
+        return true;
+      case "override": {
+        const req = this.parseOverride(arg);
+        if (!req) {
+          this.log(`[override] invalid request from ${origin}: ${JSON.stringify(arg)}`, "simple");
+          return false;
+        }
+        if (req.clear) this.clearOverride(origin);
+        else this.setOverride(req.mode, req.seconds, origin);
+        return true;
+      }
+      case "clearoverride":
+        this.clearOverride(origin);
+        return true;
+      default:
+        this.log(`[command] unknown command "${command}" from ${origin}`, "simple");
+        return false;
+    }
+  },
+
+  // Change one of LIVE_SETTINGS at runtime (config.js stays the baseline after a restart).
+  // Validates like CONFIG does; returns false and leaves everything as it was on a bad value.
+  applySetting: function (key, value, origin) {
+    if (!LIVE_SETTINGS.includes(key)) {
+      this.log(`[settings] unknown setting "${key}" from ${origin}`, "simple");
+      return false;
+    }
+    const reject = (why) => {
+      this.log(`[settings] ${key}=${JSON.stringify(value)} from ${origin} rejected: ${why}`, "simple");
+      return false;
+    };
+    const n = Number(value);
+    switch (key) {
+      case "counterTimeout":
+        if (!Number.isFinite(n) || n < COUNTER_TIMEOUT_MIN) return reject(`must be at least ${COUNTER_TIMEOUT_MIN}`);
+        this.config.counterTimeout = Math.round(n);
+        if (this.config.autoDimmer && this.config.autoDimmerTimeout >= this.config.counterTimeout) {
+          this.config.autoDimmerTimeout = Math.max(0, this.config.counterTimeout - 1);
+          this.log(`[settings] autoDimmerTimeout clamped to ${this.config.autoDimmerTimeout}`, "simple");
+        }
+        if (this.config.autoDimmer) {
+          this.dimStages = compileDimStages(this.config.dimStages, this.config.counterTimeout, msg => console.error("PresenceControl: " + msg));
+        }
+        if (this.adaptiveStats) this.clampAdaptiveMin();
+        // A running countdown never gets longer than the new timeout
+        if (!this.adaptiveStats) this.effectiveTimeout = this.config.counterTimeout;
+        if (this.counter > this.effectiveTimeout) this.counter = this.effectiveTimeout;
+        break;
+      case "autoDimmerTimeout":
+        if (!Number.isFinite(n) || n < 0 || n >= this.config.counterTimeout) return reject(`must be between 0 and counterTimeout (${this.config.counterTimeout})`);
+        this.config.autoDimmerTimeout = Math.round(n);
+        if (this.adaptiveStats) this.clampAdaptiveMin();
+        break;
+      case "autoDimmerOpacity":
+        if (!Number.isFinite(n) || n < 0 || n > 1) return reject("must be between 0 and 1");
+        this.config.autoDimmerOpacity = n;
+        break;
+      case "ecoMode":
+        if (typeof value !== "boolean") return reject("must be true or false");
+        this.config.ecoMode = value;
+        break;
+      case "debug":
+        if (!DEBUG_LEVELS.includes(value)) return reject(`must be one of ${DEBUG_LEVELS.join(", ")}`);
+        this.config.debug = value;
+        if (this.pirInstance) this.pirInstance.setDebug(value === "complex");
+        break;
+    }
+    this.log(`[settings] ${key}=${JSON.stringify(this.config[key])} from ${origin}`, "simple");
+    const settings = {};
+    LIVE_SETTINGS.forEach(k => { settings[k] = this.config[k]; });
+    this.sendSocketNotification("SETTINGS_UPDATE", settings);
+    this.sendPresenceUpdate();
+    return true;
+  },
+
+  // Accepts { mode, duration | minutes | until }, "alwaysOn 2h", "ignore until 07:00", "clear",
+  // or the same as JSON string. Returns { mode, seconds }, { clear: true } or null if invalid.
+  parseOverride: function (arg) {
+    if (typeof arg === "string") {
+      const text = arg.trim();
+      if (text.startsWith("{")) {
+        try {
+          return this.parseOverride(JSON.parse(text));
+        } catch {
+          return null;
+        }
+      }
+      const parts = text.split(/\s+/);
+      if (/^(clear|cancel|off)$/i.test(parts[0])) return { clear: true };
+      // Mode omitted ("3600", "2h", "until 07:00"): keep the screen on
+      if (/^(\d|until$)/i.test(parts[0])) parts.unshift("alwaysOn");
+      const req = { mode: parts[0] };
+      if (parts[1] && parts[1].toLowerCase() === "until") req.until = parts[2];
+      else req.duration = parts.slice(1).join("");
+      return this.parseOverride(req);
+    }
+    if (!arg || typeof arg !== "object") return null;
+    if (arg.clear) return { clear: true };
+    const wanted = String(arg.mode || arg.type || "").toLowerCase();
+    const mode = OVERRIDE_MODES.find(m => m.toLowerCase() === wanted);
+    if (!mode) return null;
+    let seconds;
+    if (arg.until !== undefined) seconds = this.secondsUntil(arg.until);
+    else if (arg.minutes !== undefined) seconds = Number(arg.minutes) * 60;
+    else seconds = this.parseDuration(arg.duration);
+    if (seconds === 0) return { clear: true };
+    if (!(seconds > 0)) return null;
+    return { mode: mode, seconds: Math.round(seconds) };
+  },
+
+  // 3600 | "3600" | "2h" | "90min" | "1h30m" | "45s" -> seconds (NaN if invalid)
+  parseDuration: function (value) {
+    if (typeof value === "number") return value;
+    const text = String(value === undefined ? "" : value).trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+    const re = /(\d+(?:\.\d+)?)\s*(h|min|m|s)/g;
+    let total = 0;
+    let consumed = "";
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      total += Number(m[1]) * ({ h: 3600, min: 60, m: 60, s: 1 }[m[2]]);
+      consumed += m[0];
+    }
+    return (consumed && consumed.replace(/\s+/g, "") === text.replace(/\s+/g, "")) ? total : NaN;
+  },
+
+  // "07:00" -> seconds until the next 07:00; ISO date strings are accepted too
+  secondsUntil: function (value) {
+    const now = new Date();
+    const clock = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    let target;
+    if (clock) {
+      target = new Date(now);
+      target.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+      if (target <= now) target.setDate(target.getDate() + 1);
+    } else {
+      target = new Date(value);
+    }
+    const seconds = (target.getTime() - now.getTime()) / 1000;
+    return Number.isFinite(seconds) ? seconds : NaN;
+  },
+
+  setOverride: function (mode, seconds, origin) {
+    const now = Date.now();
+    this.override = { mode: mode, since: now, expiry: now + seconds * 1000, total: seconds, origin: origin };
+    this.log(`[override] ${mode} for ${seconds}s (from ${origin})`, "simple");
+    this.scheduleStateSave();
+    this.evaluateSchedule(new Date());
+  },
+
+  clearOverride: function (origin) {
+    if (!this.override) return;
+    this.log(`[override] ${this.override.mode} cleared (from ${origin})`, "simple");
+    this.override = null;
+    this.scheduleStateSave();
+    this.evaluateSchedule(new Date());
+    this.sendPresenceUpdate();
+  },
+
+  // --- Persisted runtime state (survives MagicMirror restarts) ---
+
+  stateFilePath: function () {
+    return path.join(__dirname, STATE_FILE_NAME);
+  },
+
+  scheduleStateSave: function () {
+    if (!this.config.persistState || this.stateSaveTimer) return;
+    this.stateSaveTimer = setTimeout(() => {
+      this.stateSaveTimer = null;
+      this.saveState();
+    }, STATE_SAVE_DELAY_MS);
+  },
+
+  // Synchronous on purpose: also called from stop() during shutdown
+  saveState: function () {
+    if (!this.config.persistState) return;
+    const state = {
+      savedAt: Date.now(),
+      locked: this.locked,
+      override: this.override,
+      presence: this.presence,
+      counter: this.counter,
+      screenOn: this.screenOn
+    };
+    try {
+      const tmp = this.stateFilePath() + ".tmp";
+      fs.writeFileSync(tmp, JSON.stringify(state));
+      fs.renameSync(tmp, this.stateFilePath());
+      this.log("[state] saved: " + JSON.stringify(state), "complex");
+    } catch (err) {
+      this.log("[state] save failed: " + err, "simple");
+    }
+  },
+
+  // Returns the restored state, or null if none/too old. Called in CONFIG before sensors start.
+  restoreState: function () {
+    if (!this.config.persistState) return null;
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.stateFilePath(), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") this.log("[state] could not read state file: " + err, "simple");
+      return null;
+    }
+    const now = Date.now();
+    const ageS = (now - Number(state.savedAt)) / 1000;
+    const maxAge = Number(this.config.persistStateMaxAge);
+    if (!(ageS >= 0) || (maxAge > 0 && ageS > maxAge)) {
+      this.log(`[state] saved state is ${Math.round(ageS)}s old (max ${maxAge}s) — ignored`, "simple");
+      return null;
+    }
+    this.locked = !!state.locked;
+    if (state.override && OVERRIDE_MODES.includes(state.override.mode) && state.override.expiry > now) {
+      this.override = state.override;
+    }
+    // Someone present at shutdown gets a fresh countdown; otherwise continue where it stopped
+    if (state.presence) {
+      this.counter = this.nextTimeout();
+    } else {
+      this.counter = Math.max(0, Math.round((Number(state.counter) || 0) - ageS));
+    }
+    this.log(`[state] restored (age ${Math.round(ageS)}s): locked=${this.locked}, override=${this.override ? this.override.mode : "none"}, counter=${this.counter}, screenOn=${state.screenOn}`, "simple");
+    return state;
+  },
+
+  getActiveOverride: function (now) {
+    if (!this.override) return null;
+    if (this.override.expiry > now.getTime()) return this.override;
+    this.log(`[override] ${this.override.mode} expired`, "simple");
+    this.override = null;
+    return null;
+  },
+
+  // Effective source list: explicit config.sources, or derived from the legacy "mode" string
+  resolveSourceList: function () {
+    if (Array.isArray(this.config.sources) && this.config.sources.length > 0) {
+      return this.config.sources.map(s => String(s).trim()).filter(Boolean);
+    }
+    const list = [];
+    if (this.config.mode === "PIR" || this.config.mode === "PIR_MQTT") list.push("pir");
+    if (this.config.mode === "MQTT" || this.config.mode === "PIR_MQTT") {
+      // Named mqttTopics replace the single legacy mqttTopic when derived from mode
+      const named = this.configuredMqttTopics().filter(t => !t.forceOff);
+      if (named.length > 0) {
+        named.forEach(t => list.push(MQTT_SOURCE_PREFIX + (t.name || t.topic)));
+      } else {
+        list.push("mqtt");
+      }
+    }
+    return list.concat(LEGACY_CONTROL_SOURCES);
+  },
+
+  buildSourceRegistry: function () {
+    this.sources.clear();
+    for (const name of this.resolveSourceList()) {
+      if (!KNOWN_SOURCES.includes(name) && !name.startsWith(MQTT_SOURCE_PREFIX)) {
+        console.log(`PresenceControl: unknown presence source "${name}" ignored`);
+        continue;
+      }
+      this.sources.register(name, PULSE_SOURCES.includes(name) ? "pulse" : "sensor");
+    }
+    // Peers are listed explicitly in peerGroup.peers, so they need no entry in sources
+    this.peerDefs = this.buildPeerDefs();
+    this.peerDefs.forEach(peer => this.sources.register(peer.source, "sensor"));
+    this.log("[sources] enabled: " + this.sources.names().join(", "), "simple");
+  },
+
+  // presenceRule: string, or array of strings / { name, rule } objects. Any rule true -> presence.
+  buildPresenceRules: function () {
+    this.presenceRules = [];
+    const raw = this.config.presenceRule;
+    const list = Array.isArray(raw) ? raw : (raw ? [raw] : []);
+    list.forEach((entry, i) => {
+      const text = (entry && typeof entry === "object") ? entry.rule : entry;
+      try {
+        const rule = compileRule(text);
+        rule.name = (entry && entry.name) || ("rule" + (i + 1));
+        rule.resolve = {};
+        for (const id of rule.identifiers) {
+          rule.resolve[id] = this.resolveRuleIdentifier(id);
+          if (!rule.resolve[id]) {
+            console.log(`PresenceControl: presenceRule "${rule.name}" references unknown source "${id}" (always false)`);
+          }
+        }
+        this.presenceRules.push(rule);
+      } catch (e) {
+        console.error(`PresenceControl: presenceRule "${text}" invalid (${e.message}) — ignored`);
+      }
+    });
+    // Sources referenced by a rule only count through that rule; all others keep plain OR semantics
+    this.ruleSources = [];
+    this.presenceRules.forEach(rule => {
+      Object.values(rule.resolve).forEach(name => {
+        if (name && !this.ruleSources.includes(name)) this.ruleSources.push(name);
+      });
+    });
+    if (this.presenceRules.length > 0) {
+      this.log("[rules] " + this.presenceRules.map(r => `${r.name}: ${r.text}`).join("; "), "simple");
+    }
+  },
+
+  // Rule identifiers match source names case-insensitively; a bare name also matches "mqtt:<name>", then "peer:<name>"
+  resolveRuleIdentifier: function (id) {
+    const lower = id.toLowerCase();
+    const names = this.sources.names();
+    return names.find(n => n.toLowerCase() === lower) ||
+      names.find(n => n.toLowerCase() === MQTT_SOURCE_PREFIX + lower) ||
+      names.find(n => n.toLowerCase() === PEER_SOURCE_PREFIX + lower) ||
+      null;
+  },
+
+  // Combined sensor presence: fired rule OR any active source that no rule references.
+  // skip(name) leaves sources out (counted as inactive) and logs nothing — used every second
+  // for the local presence published to the peer group.
+  evaluatePresenceSources: function (skip) {
+    const counts = (name) => !(skip && skip(name)) && this.sources.isActive(name);
+    const free = this.sources.active().filter(name => !this.ruleSources.includes(name) && counts(name));
+    if (free.length > 0) {
+      if (this.presenceRules.length > 0 && !skip) this.log(`[rules] presence via source(s) outside rules: ${free.join(",")}`, "complex");
+      return true;
+    }
+    for (const rule of this.presenceRules) {
+      if (rule.evaluate(id => !!rule.resolve[id] && counts(rule.resolve[id]))) {
+        if (!skip) this.log(`[rules] fired: ${rule.name} (${rule.text})`, "complex");
+        return true;
+      }
+    }
+    return false;
+  },
+
+  // Held sensor reports presence/absence. A real detection cancels pending touch/wakeup pulses.
+  setSourcePresence: function (name, active) {
+    if (!this.sources.has(name)) {
+      this.log(`[sources] ${name} reported ${active} but is not enabled — ignored`, "complex");
+      return;
+    }
+    this.sources.set(name, active);
+    if (active) {
+      this.clearPulseTimers();
+      this.sources.clearKind("pulse");
+    }
+    this.updatePresence();
+  },
+
+  clearPulseTimers: function () {
+    for (const name of Object.keys(this.pulseTimers)) {
+      clearTimeout(this.pulseTimers[name]);
     }
+    this.pulseTimers = {};
   },
 
   forceScreenOff: function () {
     this.presence = false;
-    this.touchPresence = false;
+    this.clearPulseTimers();
+    this.sources.clearKind("pulse");
     this.counter = 0;
     this.dimmed = false;
     this.updateScreen(false);
@@ -188,37 +818,66 @@ module.exports = NodeHelper.create({
     this.sendPresenceUpdate();
   },
 
-  handleTouch: function (payload) {
+  handleTouch: function () {
     this.log("Touch event received: click", "simple");
-    this.triggerPresence();
+    this.triggerPresence("touch");
   },
 
-  triggerPresence: function () {
-    this.log("Touch: Triggering presence event (screen on/timer reset).", "simple");
-    // RKORELL: Touch setzt touchPresence, nicht presence direkt.
-    // Nach 100ms wird touchPresence zurückgesetzt → Counter zählt runter.
-    // Wenn PIR/MQTT aktiv wird, übernimmt das und nullt touchPresence.
-    this.touchPresence = true;
-    if (this.touchTimer) clearTimeout(this.touchTimer);
+  // false if the source is not enabled (nothing happened)
+  triggerPresence: function (name = "touch") {
+    if (!this.sources.has(name)) {
+      this.log(`[sources] ${name} trigger ignored (source not enabled)`, "simple");
+      return false;
+    }
+    this.log(`${name}: Triggering presence event (screen on/timer reset).`, "simple");
+    // RKORELL: Touch setzt die touch-Quelle, nicht presence direkt.
+    // Nach 100ms wird die Quelle zurückgesetzt → Counter zählt runter.
+    // Wenn PIR/MQTT aktiv wird, übernimmt das und nullt alle Pulse-Quellen.
+    this.sources.set(name, true);
+    if (this.pulseTimers[name]) clearTimeout(this.pulseTimers[name]);
     this.updatePresence();
 
-    this.touchTimer = setTimeout(() => {
-      this.touchPresence = false;
-      this.touchTimer = null;
+    this.pulseTimers[name] = setTimeout(() => {
+      delete this.pulseTimers[name];
+      this.sources.set(name, false);
       this.updatePresence();
-    }, 100);
+    }, PULSE_RESET_MS);
+    return true;
   },
 
+  // Line protocol, one command per line; answers "OK", "ERR <reason>" or a JSON status line.
+  // A connection is closed once all complete lines are answered, except after "subscribe".
   startWakeupListener: function () {
     const runtimeDir = process.env.XDG_RUNTIME_DIR || "/tmp";
-    this.wakeupSocketPath = path.join(runtimeDir, WAKEUP_SOCKET_NAME);
+    this.wakeupSocketPath = this.config.wakeupSocketPath || path.join(runtimeDir, WAKEUP_SOCKET_NAME);
     try { fs.unlinkSync(this.wakeupSocketPath); } catch (e) {}
-    this.wakeupServer = net.createServer((conn) => {
-      conn.on("data", () => {
-        this.log("[ExternalWakeup] received ping, triggering presence", "simple");
-        this.triggerPresence();
+    this.wakeupServer = net.createServer({ allowHalfOpen: true }, (conn) => {
+      let buffer = "";
+      conn.setEncoding("utf8");
+      const finish = () => {
+        if (!this.wakeupSubscribers.has(conn)) conn.end();
+      };
+      conn.on("data", (chunk) => {
+        buffer += chunk;
+        let nl;
+        while ((nl = buffer.indexOf("\n")) !== -1) {
+          this.handleWakeupLine(conn, buffer.slice(0, nl));
+          buffer = buffer.slice(nl + 1);
+        }
+        if (buffer.length > WAKEUP_MAX_LINE) {
+          conn.write("ERR line too long\n");
+          buffer = "";
+        }
+        if (!buffer) finish();
+      });
+      // Client closed its side: a last line without newline still counts (e.g. printf wakeup)
+      conn.on("end", () => {
+        if (buffer) this.handleWakeupLine(conn, buffer);
+        buffer = "";
+        this.wakeupSubscribers.delete(conn);
         conn.end();
       });
+      conn.on("close", () => this.wakeupSubscribers.delete(conn));
       conn.on("error", () => {});
     });
     this.wakeupServer.on("error", (err) => {
@@ -226,11 +885,98 @@ module.exports = NodeHelper.create({
       this.log("[ExternalWakeup] socket error: " + err, "simple");
     });
     this.wakeupServer.listen(this.wakeupSocketPath, () => {
+      const mode = this.parseSocketMode(this.config.wakeupSocketMode);
+      if (mode !== null) {
+        try {
+          fs.chmodSync(this.wakeupSocketPath, mode);
+        } catch (err) {
+          this.log("[ExternalWakeup] chmod failed: " + err, "simple");
+        }
+      }
       this.log("[ExternalWakeup] listening on " + this.wakeupSocketPath, "simple");
     });
   },
 
+  // "0660" | "660" | 0o660 -> 0o660; "" / invalid -> null (keep the umask default)
+  parseSocketMode: function (value) {
+    if (typeof value === "number") return value;
+    const text = String(value || "").trim();
+    if (!/^0?[0-7]{3}$/.test(text)) {
+      if (text) console.error(`PresenceControl: wakeupSocketMode "${text}" is not an octal mode like "0660" — ignored`);
+      return null;
+    }
+    return parseInt(text, 8);
+  },
+
+  handleWakeupLine: function (conn, line) {
+    const text = line.trim();
+    const space = text.indexOf(" ");
+    const cmd = (space === -1 ? text : text.slice(0, space)).toLowerCase();
+    const arg = space === -1 ? "" : text.slice(space + 1).trim();
+    const reply = (msg) => {
+      if (!conn.destroyed) conn.write(msg + "\n");
+    };
+
+    if (WAKEUP_LEGACY_PINGS.includes(cmd)) {
+      this.log("[ExternalWakeup] received ping, triggering presence", "simple");
+      reply(this.runCommand("wakeup", undefined, "socket") ? "OK" : "ERR " + COMMAND_ERRORS.wakeup);
+      return;
+    }
+    switch (cmd) {
+      case "status":
+        reply(JSON.stringify(this.buildStatus()));
+        return;
+      case "subscribe": {
+        const status = this.buildStatus();
+        if (this.wakeupSubscribers.size === 0) this.wakeupLastBroadcast = this.wakeupStatusKey(status);
+        this.wakeupSubscribers.add(conn);
+        reply(JSON.stringify(status));
+        return;
+      }
+      case "unsubscribe":
+        this.wakeupSubscribers.delete(conn);
+        reply("OK");
+        return;
+      case "override":
+        reply(this.runCommand("override", arg, "socket") ? "OK" : "ERR " + COMMAND_ERRORS.override);
+        return;
+      case "clearoverride":
+      case "wakeup":
+      case "end":
+      case "lock":
+      case "unlock":
+        reply(this.runCommand(cmd, undefined, "socket") ? "OK" : "ERR " + (COMMAND_ERRORS[cmd] || "command failed"));
+        return;
+      default:
+        reply(`ERR unknown command "${cmd}"`);
+    }
+  },
+
+  // Status without the per-second countdowns: subscribers only hear about real changes
+  wakeupStatusKey: function (status) {
+    return JSON.stringify(Object.assign({}, status, {
+      counter: undefined,
+      alwaysOnLeft: undefined,
+      energy: undefined,
+      override: status.override ? status.override.mode : undefined
+    }));
+  },
+
+  broadcastWakeupStatus: function (status) {
+    if (this.wakeupSubscribers.size === 0) return;
+    const key = this.wakeupStatusKey(status);
+    if (key === this.wakeupLastBroadcast) return;
+    this.wakeupLastBroadcast = key;
+    const line = JSON.stringify(status) + "\n";
+    this.wakeupSubscribers.forEach((conn) => {
+      if (!conn.destroyed) conn.write(line);
+    });
+  },
+
   stopWakeupListener: function () {
+    this.wakeupSubscribers.forEach((conn) => conn.destroy());
+    this.wakeupSubscribers.clear();
+    this.wakeupLastBroadcast = null;
     if (this.wakeupServer) {
       try { this.wakeupServer.close(); } catch (e) {}
       this.wakeupServer = null;
@@ -241,6 +987,134 @@ module.exports = NodeHelper.create({
     }
   },
 
+  // --- HTTP API ---
+  // Express routes cannot be removed again, so they are registered once and check
+  // httpApi.enabled / the token on every request (config may change on reload).
+
+  startHttpApi: function () {
+    const api = this.config.httpApi;
+    if (!api.token) {
+      console.error("PresenceControl: httpApi.enabled requires httpApi.token — HTTP API disabled");
+      this.log("[HTTP] no token configured — API not started", "simple");
+      return;
+    }
+    if (!this.expressApp) {
+      this.log("[HTTP] no Express app available — API not started", "simple");
+      return;
+    }
+    const base = "/" + this.name;
+    if (!this.httpRoutesRegistered) {
+      this.expressApp.get(base + "/status", (req, res) => {
+        if (!this.checkHttpAuth(req, res)) return;
+        res.json(this.buildStatus());
+      });
+      HTTP_COMMANDS.forEach((cmd) => {
+        this.expressApp.post(base + "/" + cmd, (req, res) => {
+          if (!this.checkHttpAuth(req, res)) return;
+          if (!this.runCommand(cmd, undefined, "http")) {
+            res.status(409).json({ ok: false, error: COMMAND_ERRORS[cmd] || "command failed" });
+            return;
+          }
+          res.json({ ok: true, status: this.buildStatus() });
+        });
+      });
+      this.expressApp.post(base + "/override", (req, res) => {
+        if (!this.checkHttpAuth(req, res)) return;
+        this.readHttpBody(req, (err, body) => {
+          if (err) {
+            res.status(400).json({ ok: false, error: err.message });
+            return;
+          }
+          const arg = Object.assign({}, req.query, body);
+          delete arg.token;
+          if (!this.runCommand("override", arg, "http")) {
+            res.status(400).json({ ok: false, error: "invalid override (expected mode plus minutes, duration or until)" });
+            return;
+          }
+          res.json({ ok: true, status: this.buildStatus() });
+        });
+      });
+      this.expressApp.post(base + "/override/clear", (req, res) => {
+        if (!this.checkHttpAuth(req, res)) return;
+        this.runCommand("clearOverride", undefined, "http");
+        res.json({ ok: true, status: this.buildStatus() });
+      });
+      this.httpRoutesRegistered = true;
+    }
+    this.log(`[HTTP] API enabled under ${base}/`, "simple");
+  },
+
+  // Token via "Authorization: Bearer <token>", "X-PSC-Token: <token>" or ?token=<token>
+  checkHttpAuth: function (req, res) {
+    const api = this.config && this.config.httpApi;
+    if (!api || !api.enabled || !api.token) {
+      res.status(404).json({ ok: false, error: "HTTP API disabled" });
+      return false;
+    }
+    const header = String(req.get("authorization") || "");
+    const given = header.toLowerCase().startsWith("bearer ")
+      ? header.slice(7).trim()
+      : (req.get("x-psc-token") || (req.query && req.query.token) || "");
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(String(api.token));
+    if (a.length !== b.length || !timingSafeEqual(a, b)) {
+      this.log(`[HTTP] rejected ${req.method} ${req.path} from ${req.ip} (bad token)`, "simple");
+      res.status(401).json({ ok: false, error: "unauthorized" });
+      return false;
+    }
+    return true;
+  },
+
+  // MagicMirror does not install a body parser on every version: read JSON / text ourselves
+  readHttpBody: function (req, callback) {
+    if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) {
+      callback(null, req.body);
+      return;
+    }
+    let data = "";
+    let finished = false;
+    // Exactly one callback, whichever of data/end/error comes first
+    const done = (err, body) => {
+      if (finished) return;
+      finished = true;
+      callback(err, body);
+    };
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      if (finished) return;
+      data += chunk;
+      if (data.length > HTTP_MAX_BODY) {
+        done(new Error("request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (finished) return;
+      const text = data.trim();
+      if (!text) {
+        done(null, {});
+        return;
+      }
+      if (text.startsWith("{")) {
+        let body;
+        try {
+          body = JSON.parse(text);
+        } catch {
+          done(new Error("invalid JSON body"));
+          return;
+        }
+        done(null, body);
+        return;
+      }
+      // Plain text uses the same short form as mqttOverrideTopic, e.g. "alwaysOn 2h"
+      const parsed = this.parseOverride(text);
+      if (!parsed) done(null, { mode: "" });
+      else if (parsed.clear) done(null, { clear: true });
+      else done(null, { mode: parsed.mode, duration: parsed.seconds });
+    });
+    req.on("error", (err) => done(err));
+  },
+
   // PRÄMISSENTREU: PIR-Integration mit eigenem State
   startPirSensor: function () {
     if (this.pirInstance) this.pirInstance.stop();
@@ -253,95 +1127,221 @@ module.exports = NodeHelper.create({
       (event, data) => {
         if (event === "PIR_DETECTED") {
           this.log("[PIR] PIR_DETECTED received", "simple");
-          this.pirPresence = true;
-          // RKORELL: Touch-Mechanismus nullen wenn echte Präsenz erkannt
-          this.touchPresence = false;
-          if (this.touchTimer) {
-            clearTimeout(this.touchTimer);
-            this.touchTimer = null;
-          }
+          this.setSourcePresence("pir", true);
         } else if (event === "PIR_LEFT") {
-          this.log("[PIR] PIR_LEFT received, setting pirPresence=false", "simple");
-          this.pirPresence = false;
+          this.log("[PIR] PIR_LEFT received, setting pir source inactive", "simple");
+          this.setSourcePresence("pir", false);
+        } else {
+          this.updatePresence();
         }
-        this.updatePresence();
       }
     );
     this.pirInstance.start();
   },
 
-  startMqtt: function () {
-    if (this.mqttClient) {
-      try { this.mqttClient.end(); } catch (e) {}
-    }
-    var mqttOptions = {};
-    if (this.config.mqttUser) { mqttOptions.username = this.config.mqttUser; }
-    if (this.config.mqttPassword) { mqttOptions.password = this.config.mqttPassword; }
-    this.mqttClient = mqtt.connect(this.config.mqttServer, mqttOptions);
-    this.mqttClient.on("connect", () => {
-      this.mqttClient.subscribe(this.config.mqttTopic, (err) => {
-        if (err) this.log("MQTT subscribe error: " + err, "simple");
-        else this.log("Subscribed to MQTT topic: " + this.config.mqttTopic, "simple");
+  configuredMqttTopics: function () {
+    if (!Array.isArray(this.config.mqttTopics)) return [];
+    return this.config.mqttTopics.filter(t => t && typeof t.topic === "string" && t.topic);
+  },
+
+  // Normalized topic definitions for all enabled MQTT sources (legacy mqttTopic = source "mqtt")
+  buildMqttTopicDefs: function () {
+    const defs = [];
+    if (this.sources.has("mqtt") && this.config.mqttTopic) {
+      defs.push({
+        source: "mqtt",
+        topic: this.config.mqttTopic,
+        field: this.config.mqttPayloadOccupancyField || "presence",
+        fieldExpr: compileFieldExpression(this.config.mqttPayloadOccupancyField),
+        payloadOn: this.config.mqttPayloadOn || "",
+        timeout: 0,
+        maxSilence: Number(this.config.mqttMaxSilence) > 0 ? Number(this.config.mqttMaxSilence) : 0,
+        forceOff: false
       });
-    });
-    this.mqttClient.on("message", (topic, message) => {
-      const raw = message.toString();
-      const bareMode = !!this.config.mqttPayloadOn;
-      let presence;
+    }
+    for (const t of this.configuredMqttTopics()) {
+      const source = t.forceOff ? null : MQTT_SOURCE_PREFIX + (t.name || t.topic);
+      if (source && !this.sources.has(source)) {
+        this.log(`[MQTT] topic ${t.topic} skipped (source ${source} not enabled)`, "simple");
+        continue;
+      }
+      defs.push({
+        source: source,
+        topic: t.topic,
+        field: t.field || "presence",
+        fieldExpr: compileFieldExpression(t.field),
+        payloadOn: t.payloadOn || "",
+        timeout: Number(t.timeout) > 0 ? Number(t.timeout) : 0,
+        maxSilence: Number(t.maxSilence) > 0 ? Number(t.maxSilence) : 0,
+        forceOff: !!t.forceOff
+      });
+    }
+    return defs;
+  },
 
-      if (bareMode) {
-        if (this.config.mqttPayloadOccupancyField && this.config.mqttPayloadOccupancyField !== "presence") {
-          this.log("[MQTT] mqttPayloadOccupancyField is ignored in bare-string mode", "simple");
-        }
-        presence = (raw.trim() === this.config.mqttPayloadOn);
-      } else {
-        let payload;
-        try {
-          payload = JSON.parse(raw);
-        } catch (e) {
-          this.log("[MQTT] Field mode JSON parse error: " + e + " — payload: " + raw, "simple");
-          return;
-        }
-        const field = this.config.mqttPayloadOccupancyField || "presence";
-        presence = this.coercePresence(payload && payload[field]);
-      }
-
-      this.log(`[MQTT] received (${bareMode ? "bare" : "field"} mode): mqttPresence=${presence}`, "complex");
-      this.mqttPresence = presence;
-      // RKORELL: Touch-Mechanismus nullen wenn echte Präsenz erkannt
-      if (presence) {
-        this.touchPresence = false;
-        if (this.touchTimer) {
-          clearTimeout(this.touchTimer);
-          this.touchTimer = null;
-        }
+  startMqtt: function () {
+    const topics = [...new Set(this.mqttTopicDefs.map(def => def.topic))];
+    if (this.config.mqttOverrideTopic) topics.push(this.config.mqttOverrideTopic);
+    const luxTopic = this.ambientMqttTopic();
+    if (luxTopic && !topics.includes(luxTopic)) topics.push(luxTopic);
+    this.mqttConnection().subscribe(topics, 0, (topic, message) => {
+      const raw = message.toString();
+      if (this.config.mqttOverrideTopic && topic === this.config.mqttOverrideTopic) {
+        this.runCommand("override", raw, "mqtt");
+        return;
+      }
+      // Multi-sensors often report lux and occupancy on one topic: no return here
+      if (luxTopic && this.mqttTopicMatches(luxTopic, topic)) this.handleAmbientMessage(raw);
+      // One message may feed several definitions (e.g. same topic, different fields)
+      for (const def of this.mqttTopicDefs) {
+        if (this.mqttTopicMatches(def.topic, topic)) this.handleMqttMessage(def, raw);
       }
-      this.updatePresence();
-    });
-    this.mqttClient.on("error", (err) => {
-      this.log("MQTT connection error: " + err, "simple");
     });
   },
 
-  coercePresence: function (v) {
-    if (typeof v === "boolean") return v;
-    if (typeof v === "number") return v !== 0;
-    if (typeof v === "string") {
-      const s = v.toLowerCase().trim();
-      return s === "true" || s === "1" || s === "on" || s === "yes";
+  // MQTT filter match incl. "+" and "#" wildcards
+  mqttTopicMatches: function (filter, topic) {
+    return topicMatches(filter, topic);
+  },
+
+  // --- Shared MQTT connection: created on first use, connected once everything is registered ---
+
+  mqttConnectionConfig: function () {
+    return Object.assign({}, MQTT_CONNECTION_DEFAULTS, this.config.mqttConnection);
+  },
+
+  // One connection has one LWT: an explicit availabilityTopic, else the HA one, else the mqttApi one
+  mqttAvailabilityTopic: function () {
+    const c = this.mqttConnectionConfig();
+    if (c.availabilityTopic) return c.availabilityTopic;
+    if (this.config.homeAssistant && this.config.homeAssistant.enabled) return this.buildHaTopics().availability;
+    if (this.mqttApiConfig().enabled) return this.mqttApiPrefix() + "/availability";
+    return null;
+  },
+
+  mqttConnection: function () {
+    if (this.mqtt) return this.mqtt;
+    const c = this.mqttConnectionConfig();
+    const availability = this.mqttAvailabilityTopic();
+    this.mqtt = new MqttConnection(this.config.mqttServer, Object.assign({}, c, {
+      username: this.config.mqttUser,
+      password: this.config.mqttPassword,
+      baseDir: __dirname,
+      availability: availability ? { topic: availability, online: HA_AVAIL_ONLINE, offline: HA_AVAIL_OFFLINE, qos: HA_QOS } : null
+    }), msg => this.log(msg, "simple"));
+    this.mqtt.onStateChange(() => this.sendPresenceUpdate());
+    return this.mqtt;
+  },
+
+  connectMqtt: function () {
+    if (!this.mqtt) return;
+    try {
+      this.mqtt.connect();
+    } catch (err) {
+      console.error("PresenceControl: mqttConnection: " + err.message + " — MQTT disabled");
+      this.mqtt = null;
     }
-    return false;
   },
 
-  // PRÄMISSENTREU: State-Decision je nach Mode
+  stopMqtt: function () {
+    if (!this.mqtt) return;
+    const conn = this.mqtt;
+    this.mqtt = null;
+    conn.end();
+  },
+
+  // Returns true/false, or null if the payload could not be interpreted
+  parseMqttPresence: function (def, raw) {
+    if (def.payloadOn) {
+      if (def.field && def.field !== "presence") {
+        this.log(`[MQTT] field "${def.field}" is ignored in bare-string mode (${def.topic})`, "simple");
+      }
+      return (raw.trim() === def.payloadOn);
+    }
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch (e) {
+      this.log("[MQTT] Field mode JSON parse error: " + e + " — payload: " + raw, "simple");
+      return null;
+    }
+    return def.fieldExpr.test(payload);
+  },
+
+  handleMqttMessage: function (def, raw) {
+    const presence = this.parseMqttPresence(def, raw);
+    if (presence === null) return;
+    const label = def.source || ("forceOff " + def.topic);
+    this.log(`[MQTT] received (${def.payloadOn ? "bare" : "field"} mode) on ${def.topic}: ${label}=${presence}`, "complex");
+
+    if (def.forceOff) {
+      if (presence) this.forceMqttAbsence(def.topic);
+      return;
+    }
+    this.sources.seen(def.source);
+    if (this.sources.setStale(def.source, false)) {
+      this.log(`[watchdog] ${def.source} alive again — stale cleared`, "simple");
+    }
+    if (this.mqttHoldTimers[def.source]) {
+      clearTimeout(this.mqttHoldTimers[def.source]);
+      delete this.mqttHoldTimers[def.source];
+    }
+    // Per-topic timeout: sensors that only publish "on" edges fall back to absent after N seconds
+    if (presence && def.timeout > 0) {
+      this.mqttHoldTimers[def.source] = setTimeout(() => {
+        delete this.mqttHoldTimers[def.source];
+        this.log(`[MQTT] ${def.source} timeout (${def.timeout}s) — source inactive`, "complex");
+        this.setSourcePresence(def.source, false);
+      }, def.timeout * 1000);
+    }
+    this.setSourcePresence(def.source, presence);
+  },
+
+  // A forceOff topic fired: every MQTT presence source counts as absent until it reports again
+  forceMqttAbsence: function (topic) {
+    this.log(`[MQTT] forceOff topic ${topic} fired — all MQTT sources set absent`, "simple");
+    this.clearMqttHoldTimers();
+    for (const def of this.mqttTopicDefs) {
+      if (def.source) this.sources.set(def.source, false);
+    }
+    this.updatePresence();
+  },
+
+  // Watchdog (runs in the cron loop): a source silent for longer than its maxSilence counts
+  // as absent and is flagged stale until the next message, so a dead sensor cannot hold the screen on.
+  checkStaleSources: function (now) {
+    let changed = false;
+    for (const def of this.mqttTopicDefs) {
+      if (!def.source || !def.maxSilence) continue;
+      const src = this.sources.get(def.source);
+      if (!src || src.stale) continue;
+      const silentFor = (now.getTime() - src.lastSeen) / 1000;
+      if (silentFor > def.maxSilence) {
+        this.sources.setStale(def.source, true);
+        this.log(`[watchdog] ${def.source} silent for ${Math.round(silentFor)}s (maxSilence ${def.maxSilence}s) — marked stale, counts as absent`, "simple");
+        changed = true;
+      }
+    }
+    return changed;
+  },
+
+  clearMqttHoldTimers: function () {
+    for (const source of Object.keys(this.mqttHoldTimers)) {
+      clearTimeout(this.mqttHoldTimers[source]);
+    }
+    this.mqttHoldTimers = {};
+  },
+
+  // PRÄMISSENTREU: State-Decision über die Source-Registry
   updatePresence: function () {
-    this.log(`[updatePresence] pirPresence=${this.pirPresence}, mqttPresence=${this.mqttPresence}, touchPresence=${this.touchPresence}, alwaysOn=${this.alwaysOn}, ignoreActive=${this.ignoreActive}, presence=${this.presence}, locked=${this.locked}`, "complex");
+    this.log(`[updatePresence] activeSources=[${this.sources.active().join(",")}], alwaysOn=${this.alwaysOn}, ignoreActive=${this.ignoreActive}, presence=${this.presence}, locked=${this.locked}`, "complex");
 
     if (this.locked) {
       this.log("[updatePresence] locked — state change suppressed", "complex");
       this.sendPresenceUpdate();
       return;
     }
+    const wasPresent = this.presence;
 
     // alwaysOn (startup grace OR cronAlwaysOnWindow): display ON, no dim, counter untouched.
     // Counter must keep its pre-alwaysOn value so it can resume cleanly when alwaysOn ends.
@@ -354,25 +1354,18 @@ module.exports = NodeHelper.create({
       return;
     }
 
-    // RKORELL: Sensor-Presence je nach Mode, plus touchPresence (unabhängig vom Mode)
+    // RKORELL: Presence = Regel feuert oder eine nicht von Regeln erfasste Quelle ist aktiv
     let newPresence = false;
-    if (this.ignoreActive) {
+    if (this.ignoreActive || this.ambientDark) {
       newPresence = false;
     } else {
-      let sensorPresence = false;
-      if (this.config.mode === "PIR_MQTT") {
-        sensorPresence = (this.pirPresence || this.mqttPresence);
-      } else if (this.config.mode === "PIR") {
-        sensorPresence = this.pirPresence;
-      } else if (this.config.mode === "MQTT") {
-        sensorPresence = this.mqttPresence;
-      }
-      newPresence = sensorPresence || this.touchPresence || this.haPresence;
+      newPresence = this.evaluatePresenceSources();
     }
 
     if (newPresence) {
       this.presence = true;
-      this.counter = this.config.counterTimeout;
+      this.noteVisit();
+      this.counter = this.nextTimeout();
       this.dimmed = false;  // Reset dimmed immediately when presence detected
       this.updateScreen(true);
       this.startCounter();
@@ -385,39 +1378,71 @@ module.exports = NodeHelper.create({
         this.startCounter();
       }
     }
+    if (this.presence !== wasPresent) {
+      this.scheduleStateSave();
+      const active = this.sources.active();
+      this.recordHistory("presence", {
+        value: this.presence,
+        sources: active,
+        sensor: active.some(name => this.sources.get(name).kind !== "pulse")
+      });
+    }
     this.sendPresenceUpdate();
   },
 
   startCronMonitor: function () {
     if (this.cronInterval) clearInterval(this.cronInterval);
     this.cronInterval = setInterval(() => {
-      let now = new Date();
-      let alwaysOnInfo = this.getActiveAlwaysOnWindow(now);
-      let alwaysOn = !!alwaysOnInfo;
-      let ignoreActive = !alwaysOn && this.isNowInWindow(this.config.cronIgnoreWindows);
-
-      let alwaysOnChanged = (alwaysOn !== this.prevAlwaysOn);
-      let ignoreChanged = (ignoreActive !== this.prevIgnoreActive);
-
-      this.alwaysOn = alwaysOn;
-      this.ignoreActive = ignoreActive;
-      this.alwaysOnWindow = alwaysOn ? alwaysOnInfo : null;
-      this.prevAlwaysOn = alwaysOn;
-      this.prevIgnoreActive = ignoreActive;
-
-      if (alwaysOnChanged || ignoreChanged) {
-        this.log("Cron transition: alwaysOn=" + alwaysOn + ", ignoreActive=" + ignoreActive, "simple");
-        this.updatePresence();
-      } else if (alwaysOn) {
-        this.sendPresenceUpdate();
-      }
+      const now = new Date();
+      this.checkHistoryDay(now);
+      this.checkPeerHeartbeat(now);
+      this.evaluateSchedule(now);
     }, 1000);
   },
 
-  getActiveAlwaysOnWindow: function (now) {
-    if (this.startupGraceExpiry) {
-      const leftMs = this.startupGraceExpiry - now.getTime();
-      if (leftMs > 0) {
+  // Once per second from the cron monitor, and immediately when an override changes
+  evaluateSchedule: function (now) {
+    // An ignore override beats every always-on source (windows and startup grace)
+    let override = this.getActiveOverride(now);
+    let ignoreOverride = !!(override && override.mode === "ignore");
+    let alwaysOnInfo = ignoreOverride ? null : this.getActiveAlwaysOnWindow(now);
+    let alwaysOn = !!alwaysOnInfo;
+    let ignoreActive = !alwaysOn && (ignoreOverride || this.isNowInWindow(this.ignoreSchedule, now));
+
+    let alwaysOnChanged = (alwaysOn !== this.prevAlwaysOn);
+    let ignoreChanged = (ignoreActive !== this.prevIgnoreActive);
+    let staleChanged = this.checkStaleSources(now);
+
+    this.alwaysOn = alwaysOn;
+    this.ignoreActive = ignoreActive;
+    this.alwaysOnWindow = alwaysOn ? alwaysOnInfo : null;
+    this.prevAlwaysOn = alwaysOn;
+    this.prevIgnoreActive = ignoreActive;
+
+    if (alwaysOnChanged || ignoreChanged) {
+      this.log("Cron transition: alwaysOn=" + alwaysOn + ", ignoreActive=" + ignoreActive, "simple");
+      this.recordHistory("schedule", { alwaysOn: alwaysOn, ignore: ignoreActive, override: override ? override.mode : null });
+      this.updatePresence();
+    } else if (staleChanged) {
+      this.updatePresence();
+    } else if (alwaysOn || override) {
+      this.sendPresenceUpdate();
+    }
+  },
+
+  getActiveAlwaysOnWindow: function (now) {
+    const override = this.getActiveOverride(now);
+    if (override && override.mode === "alwaysOn") {
+      return {
+        from: "override",
+        to: "override",
+        total: override.total,
+        left: Math.ceil((override.expiry - now.getTime()) / 1000)
+      };
+    }
+    if (this.startupGraceExpiry) {
+      const leftMs = this.startupGraceExpiry - now.getTime();
+      if (leftMs > 0) {
         return {
           from: "startup",
           to: "startup",
@@ -428,66 +1453,28 @@ module.exports = NodeHelper.create({
       this.startupGraceExpiry = null;
       this.log("[startupGrace] expired, normal logic active", "complex");
     }
-    if (!this.config.cronAlwaysOnWindows || !Array.isArray(this.config.cronAlwaysOnWindows)) return null;
-    const nowMinutes = now.getHours() * 60 + now.getMinutes();
-    const nowDay = now.getDay();
-    for (let window of this.config.cronAlwaysOnWindows) {
-      if (window.days && !window.days.includes(nowDay)) continue;
-      const [fromH, fromM] = window.from.split(":").map(Number);
-      const [toH, toM] = window.to.split(":").map(Number);
-      let fromMinutes = fromH * 60 + fromM;
-      let toMinutes = toH * 60 + toM;
-      let windowStart = new Date(now);
-      windowStart.setHours(fromH, fromM, 0, 0);
-      let windowEnd = new Date(now);
-      windowEnd.setHours(toH, toM, 0, 0);
-      if (fromMinutes <= toMinutes) {
-        if (nowMinutes >= fromMinutes && nowMinutes < toMinutes) {
-          return {
-            from: windowStart,
-            to: windowEnd,
-            total: (toMinutes - fromMinutes) * 60,
-            left: (toMinutes - nowMinutes) * 60 - now.getSeconds()
-          };
-        }
-      } else {
-        if (nowMinutes >= fromMinutes || nowMinutes < toMinutes) {
-          if (nowMinutes >= fromMinutes) {
-            windowEnd.setDate(windowEnd.getDate() + 1);
-            toMinutes += 24 * 60;
-          } else {
-            windowStart.setDate(windowStart.getDate() - 1);
-            fromMinutes -= 24 * 60;
-          }
-          return {
-            from: windowStart,
-            to: windowEnd,
-            total: (toMinutes - fromMinutes) * 60,
-            left: (toMinutes - nowMinutes) * 60 - now.getSeconds()
-          };
-        }
-      }
-    }
-    return null;
+    // Overlap resolution: runtime override > startup grace (above) > always-on windows >
+    // ignore windows (evaluateSchedule). Within one list the window ending last wins — see scheduleLib.activeWindow.
+    return activeWindow(this.alwaysOnSchedule, now);
   },
 
-  isNowInWindow: function (windows) {
-    if (!windows || !Array.isArray(windows)) return false;
-    const now = new Date();
-    const nowMinutes = now.getHours() * 60 + now.getMinutes();
-    const nowDay = now.getDay();
-    return windows.some(window => {
-      if (window.days && !window.days.includes(nowDay)) return false;
-      const [fromH, fromM] = window.from.split(":").map(Number);
-      const [toH, toM] = window.to.split(":").map(Number);
-      const fromMinutes = fromH * 60 + fromM;
-      const toMinutes = toH * 60 + toM;
-      if (fromMinutes <= toMinutes) {
-        return nowMinutes >= fromMinutes && nowMinutes < toMinutes;
-      } else {
-        return nowMinutes >= fromMinutes || nowMinutes < toMinutes;
-      }
-    });
+  isNowInWindow: function (schedule, now = new Date()) {
+    return !!activeWindow(schedule, now);
+  },
+
+  compileSchedules: function () {
+    const onError = (list) => (msg) => {
+      console.error(`PresenceControl: ${list} ${msg} — ignored`);
+    };
+    const lat = Number(this.config.latitude);
+    const lon = Number(this.config.longitude);
+    const location = (this.config.latitude !== null && this.config.latitude !== "" && Number.isFinite(lat) &&
+      this.config.longitude !== null && this.config.longitude !== "" && Number.isFinite(lon))
+      ? { latitude: lat, longitude: lon }
+      : null;
+    this.alwaysOnSchedule = compileWindows(this.config.cronAlwaysOnWindows, onError("cronAlwaysOnWindows"), location);
+    this.ignoreSchedule = compileWindows(this.config.cronIgnoreWindows, onError("cronIgnoreWindows"), location);
+    this.log(`[schedule] ${this.alwaysOnSchedule.length} always-on / ${this.ignoreSchedule.length} ignore window(s)`, "simple");
   },
 
   startCounter: function () {
@@ -499,18 +1486,19 @@ module.exports = NodeHelper.create({
         this.sendPresenceUpdate();
         return;
       }
-      if (this.ignoreActive) {
+      // A dark room (ambientLight.darkBelow) acts like an ignore window
+      if (this.ignoreActive || this.ambientDark) {
         this.dimmed = false;
         this.updateScreen(false);
         this.sendPresenceUpdate();
         return;
       }
       if (!this.presence) {
-        if (this.config.autoDimmer && !this.dimmed && this.counter === this.config.autoDimmerTimeout) {
+        if (this.config.autoDimmer && this.dimStages.length === 0 && !this.dimmed && this.counter === this.config.autoDimmerTimeout) {
           this.dimmed = true;
         }
         if (this.counter <= 0) {
-          this.log(`[startCounter] Counter expired: presence=${this.presence}, pirPresence=${this.pirPresence}, calling updateScreen(false)`, "simple");
+          this.log(`[startCounter] Counter expired: presence=${this.presence}, activeSources=[${this.sources.active().join(",")}], calling updateScreen(false)`, "simple");
           this.updateScreen(false);
           clearInterval(this.timer);
           this.timer = null;
@@ -519,51 +1507,673 @@ module.exports = NodeHelper.create({
           this.log("Counter expired, set presence to FALSE and stopped timer.", "complex");
         } else {
           this.counter--;
+          if (this.dimStages.length > 0) this.dimmed = this.currentDimLevel(true) < 1;
         }
         this.sendPresenceUpdate();
       } else {
-        this.counter = this.config.counterTimeout;
+        this.noteVisit();
+        const previous = this.counter;
+        this.counter = this.nextTimeout();
         if (this.dimmed) this.dimmed = false;
+        // The adaptive timeout grows during a stay; status, HA and API must see the new length
+        if (this.counter !== previous) this.sendPresenceUpdate();
       }
     }, 1000);
   },
 
-  updateScreen: function (on) {
-    if (on === this.screenOn) return;
+  // displayBackend picks a built-in backend; "" keeps the classic onCommand/offCommand strings
+  createDisplayBackend: function () {
+    const name = this.config.displayBackend || "custom";
+    const classic = {
+      onCommand: this.config.onCommand,
+      offCommand: this.config.offCommand,
+      statusCommand: this.config.statusCommand,
+      timeout: Math.max(0, Number(this.config.commandTimeout) || 0) * 1000
+    };
+    let display;
+    try {
+      display = new DisplayBackend(name, Object.assign({}, classic, this.config.displayOptions, { timeout: classic.timeout }));
+    } catch (err) {
+      console.error(`PresenceControl: ${err.message} — falling back to onCommand/offCommand`);
+      display = new DisplayBackend("custom", classic);
+    }
+    this.log(`[display] backend "${display.name}": on="${display.command(true)}", off="${display.command(false)}"`, "simple");
+    if (display.canQuery()) {
+      display.query((err, state) => {
+        if (err) this.log(`[display] initial status query failed: ${err}`, "simple");
+        else this.log(`[display] panel reports ${state === null ? "unknown state" : (state ? "ON" : "OFF")}`, "simple");
+      });
+    }
+    return display;
+  },
+
+  // Request a screen state. screenOn only follows once the command succeeded; a newer
+  // request replaces a pending retry. force: send even if it is already the target (drift).
+  updateScreen: function (on, force = false) {
+    if (!on) this.closeVisit();
+    if (on === this.screenTarget && !force) return;
+    this.screenTarget = on;
+    this.screenAttempt = 0;
+    this.clearScreenRetry();
+    // One command at a time: the running one picks up the new target when it finishes
+    if (!this.screenCommandPending) this.applyScreenTarget();
+  },
+
+  applyScreenTarget: function () {
+    const display = this.display;
+    if (!display) return;
+    const on = this.screenTarget;
+    const attempt = ++this.screenAttempt;
+    const cmd = display.command(on);
+    this.log(`[updateScreen] on=${on}, backend=${display.name}, cmd="${cmd}"` + (attempt > 1 ? ` (attempt ${attempt})` : ""), "simple");
+    this.screenCommandPending = true;
+    display.set(on, (err) => {
+      this.screenCommandPending = false;
+      if (display !== this.display) return;   // stopped or reconfigured meanwhile
+      if (on !== this.screenTarget) {
+        this.screenAttempt = 0;
+        this.applyScreenTarget();
+        return;
+      }
+      this.lastCommandResult = {
+        on: on,
+        ok: !err,
+        attempts: attempt,
+        error: err ? String(err.message || err).trim() : null,
+        at: Date.now()
+      };
+      if (!err) {
+        if (cmd) this.log(`[updateScreen] SUCCESS: executed "${cmd}"`, "simple");
+        if (this.screenOn !== on) this.recordHistory("screen", { on: on, reason: this.screenReason(on) });
+        this.screenOn = on;
+        this.scheduleStateSave();
+        this.publishHaState();
+        this.sendPresenceUpdate();
+        return;
+      }
+      this.log("Screen command error: " + err, "simple");
+      const retries = Math.max(0, Number(this.config.commandRetries) || 0);
+      if (attempt <= retries) {
+        const delay = Math.max(0, Number(this.config.commandRetryDelay) || 0) * 1000 * Math.pow(2, attempt - 1);
+        this.log(`[updateScreen] retry ${attempt}/${retries} in ${delay / 1000}s`, "simple");
+        this.screenRetryTimer = setTimeout(() => {
+          this.screenRetryTimer = null;
+          this.applyScreenTarget();
+        }, delay);
+      } else {
+        // Give up: screenOn keeps the last confirmed state, the next request tries again
+        console.error(`[updateScreen] ERROR: screen ${on ? "on" : "off"} failed after ${attempt} attempt(s): ${err}`);
+        this.screenTarget = this.screenOn;
+      }
+      this.publishHaState();
+      this.sendPresenceUpdate();
+    });
+  },
+
+  clearScreenRetry: function () {
+    if (this.screenRetryTimer) {
+      clearTimeout(this.screenRetryTimer);
+      this.screenRetryTimer = null;
+    }
+  },
+
+  // --- Screen power verification: the panel may be switched behind our back (TV remote, CEC) ---
+
+  startScreenPoll: function () {
+    this.stopScreenPoll();
+    const interval = Number(this.config.statusPollInterval) || 0;
+    if (interval <= 0) return;
+    if (!this.display.canQuery()) {
+      console.error(`PresenceControl: statusPollInterval set, but display backend "${this.display.name}" cannot read the power state (set statusCommand) — polling disabled`);
+      return;
+    }
+    if (!DRIFT_ACTIONS.includes(this.config.driftAction)) {
+      console.log(`PresenceControl: driftAction "${this.config.driftAction}" invalid, using "reapply"`);
+      this.config.driftAction = "reapply";
+    }
+    this.log(`[screenPoll] every ${interval}s, on drift: ${this.config.driftAction}`, "simple");
+    this.screenPollInterval = setInterval(() => this.checkScreenPower(), Math.max(1, interval) * 1000);
+  },
+
+  stopScreenPoll: function () {
+    if (this.screenPollInterval) {
+      clearInterval(this.screenPollInterval);
+      this.screenPollInterval = null;
+    }
+  },
+
+  checkScreenPower: function () {
+    if (this.screenCommandPending || this.screenRetryTimer || typeof this.screenOn !== "boolean") return;
+    if (this.screenTarget !== this.screenOn) return;
+    const expected = this.screenOn;
+    this.display.query((err, actual) => {
+      if (err) {
+        this.log(`[screenPoll] status query failed: ${err}`, "complex");
+        return;
+      }
+      // Unreadable output, a command started meanwhile, or no drift: nothing to do
+      if (actual === null || this.screenCommandPending || this.screenOn !== expected || actual === expected) return;
+      this.log(`[screenPoll] drift: screen is ${actual ? "ON" : "OFF"}, expected ${expected ? "ON" : "OFF"} — ${this.config.driftAction}`, "simple");
+      this.recordHistory("screen", { on: actual, reason: "drift" });
+      if (this.config.driftAction === "adopt") {
+        this.adoptScreenState(actual);
+      } else {
+        // Report the drift, then force the command out again
+        this.screenOn = actual;
+        this.publishHaState();
+        this.sendPresenceUpdate();
+        this.updateScreen(expected, true);
+      }
+    });
+  },
+
+  // Accept a screen state set from outside. Switched on: run the normal countdown from there.
+  adoptScreenState: function (on) {
     this.screenOn = on;
+    this.screenTarget = on;
+    if (on) {
+      this.counter = this.nextTimeout();
+      this.dimmed = false;
+      this.startCounter();
+    } else {
+      if (this.timer) clearInterval(this.timer);
+      this.timer = null;
+      this.counter = 0;
+      this.dimmed = false;
+    }
+    this.scheduleStateSave();
     this.publishHaState();
     this.sendPresenceUpdate();
-    let cmd = on ? this.config.onCommand : this.config.offCommand;
-    this.log(`[updateScreen] on=${on}, cmd="${cmd}"`, "simple");
-    if (cmd) {
-      exec(cmd, (err, stdout, stderr) => {
-        if (err) {
-          console.error(`[updateScreen] ERROR: ${err}`);
-          this.log("Screen command error: " + err, "simple");
-        }
-        else {
-          this.log(`[updateScreen] SUCCESS: executed "${cmd}"`, "simple");
-        }
+  },
+
+  // --- Hardware dimming: follows this.dimmed with the autoDimmerTimeout / autoDimmerOpacity semantics ---
+
+  createBrightnessBackend: function () {
+    if (!this.config.dimBackend) return null;
+    const options = Object.assign({}, this.config.dimOptions, {
+      timeout: Math.max(0, Number(this.config.commandTimeout) || 0) * 1000
+    });
+    try {
+      const backend = new BrightnessBackend(this.config.dimBackend, options);
+      this.log(`[brightness] dim backend: ${backend.describe()}`, "simple");
+      return backend;
+    } catch (err) {
+      console.error(`PresenceControl: ${err.message} — hardware dimming disabled`);
+      return null;
+    }
+  },
+
+  // --- Adaptive timeout: visits (first presence .. screen off) feed per-hour statistics ---
+
+  adaptiveConfig: function () {
+    return Object.assign({}, ADAPTIVE_DEFAULTS, this.config.adaptiveTimeout);
+  },
+
+  adaptiveFilePath: function () {
+    return path.join(__dirname, ADAPTIVE_FILE_NAME);
+  },
+
+  setupAdaptiveTimeout: function () {
+    this.adaptiveStats = null;
+    const a = this.adaptiveConfig();
+    if (!a.enabled) return;
+    const min = Number(a.min);
+    const max = Number(a.max);
+    if (!(min >= 1) || !(max >= min) || !(Number(a.factor) > 0)) {
+      console.error(`PresenceControl: adaptiveTimeout needs 1 <= min <= max and factor > 0 (min=${a.min}, max=${a.max}, factor=${a.factor}) — adaptive timeout disabled`);
+      return;
+    }
+    this.clampAdaptiveMin();
+    let raw = null;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.adaptiveFilePath(), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") this.log("[adaptive] could not read statistics: " + err, "simple");
+    }
+    this.adaptiveStats = raw ? normalizeStats(raw) : createStats();
+    const learned = this.adaptiveStats.hours.filter(h => h.n >= Number(a.minSamples)).length;
+    this.log(`[adaptive] timeout ${this.adaptiveConfig().min}..${this.adaptiveConfig().max}s, ${learned}/24 hours learned`, "simple");
+  },
+
+  // The classic dim must still fit into the shortest countdown; also after autoDimmerTimeout changes live
+  clampAdaptiveMin: function () {
+    const a = this.adaptiveConfig();
+    const min = Number(a.min);
+    if (!this.config.autoDimmer || this.dimStages.length > 0 || min > this.config.autoDimmerTimeout) return;
+    const raised = this.config.autoDimmerTimeout + 1;
+    console.log(`PresenceControl: adaptiveTimeout.min raised to ${raised} (must be more than autoDimmerTimeout ${this.config.autoDimmerTimeout})`);
+    this.config.adaptiveTimeout = Object.assign({}, this.config.adaptiveTimeout, { min: raised, max: Math.max(Number(a.max), raised) });
+  },
+
+  saveAdaptiveStats: function () {
+    try {
+      const tmp = this.adaptiveFilePath() + ".tmp";
+      fs.writeFileSync(tmp, JSON.stringify(this.adaptiveStats));
+      fs.renameSync(tmp, this.adaptiveFilePath());
+    } catch (err) {
+      this.log("[adaptive] save failed: " + err, "simple");
+    }
+  },
+
+  noteVisit: function () {
+    const now = Date.now();
+    if (this.visitStart === null) this.visitStart = now;
+    this.visitLastSeen = now;
+  },
+
+  // Screen goes off: the visit is over, file it under the hour it started in
+  closeVisit: function () {
+    if (this.visitStart === null) return;
+    const seconds = Math.max(1, Math.round((this.visitLastSeen - this.visitStart) / 1000));
+    const hour = new Date(this.visitStart).getHours();
+    this.visitStart = null;
+    this.visitLastSeen = null;
+    if (!this.adaptiveStats || !recordVisit(this.adaptiveStats, hour, seconds)) return;
+    const h = this.adaptiveStats.hours[hour];
+    this.log(`[adaptive] visit of ${seconds}s at ${hour}h — average now ${h.avg}s over ${h.n} visit(s)`, "complex");
+    this.saveAdaptiveStats();
+  },
+
+  // Countdown length for a (re)started countdown; also kept in effectiveTimeout for status and dim stages
+  nextTimeout: function () {
+    const timeout = this.currentTimeout();
+    if (timeout !== this.effectiveTimeout) this.log(`[timeout] effective timeout ${timeout}s`, "complex");
+    this.effectiveTimeout = timeout;
+    return timeout;
+  },
+
+  // Same length without side effects, e.g. for the off time while an always-on window holds the countdown
+  currentTimeout: function () {
+    let timeout = this.config.counterTimeout;
+    if (this.adaptiveStats) {
+      const a = this.adaptiveConfig();
+      const visitSeconds = this.visitStart === null ? 0 : (Date.now() - this.visitStart) / 1000;
+      timeout = effectiveTimeout(this.adaptiveStats, new Date().getHours(), visitSeconds, {
+        base: this.config.counterTimeout,
+        min: Number(a.min),
+        max: Number(a.max),
+        factor: Number(a.factor),
+        minSamples: Number(a.minSamples)
       });
     }
+    // Pre-woken by peers alone: their own (shorter) timeout
+    const peerTimeout = this.peerTimeout();
+    if (peerTimeout !== null) timeout = Math.min(timeout, peerTimeout);
+    return timeout;
   },
 
-  sendPresenceUpdate: function () {
+  // --- Presence history: transitions as JSON lines, daily aggregates from the log ---
+
+  historyConfig: function () {
+    return Object.assign({}, HISTORY_DEFAULTS, this.config.historyLog);
+  },
+
+  setupHistory: function () {
+    this.history = null;
+    const h = this.historyConfig();
+    if (!h.enabled) return;
+    const file = h.file ? path.resolve(__dirname, h.file) : path.join(__dirname, HISTORY_FILE_NAME);
+    this.history = new HistoryLog(file, { maxBytes: Number(h.maxSizeKB) * 1024, keep: Number(h.keep) });
+    this.historyDay = dayKey(Date.now());
+    this.log(`[history] logging to ${file} (${this.history.maxBytes / 1024} KB x ${this.history.keep + 1} files)`, "simple");
+  },
+
+  recordHistory: function (type, fields) {
+    if (!this.history) return;
+    try {
+      this.history.append(Object.assign({ ts: Date.now(), type: type }, fields));
+    } catch (err) {
+      this.log("[history] write failed: " + err, "simple");
+    }
+  },
+
+  // Best guess at why the screen switches, from the state at the time the command succeeded
+  screenReason: function (on) {
+    if (on) {
+      if (this.alwaysOn) return "schedule";
+      return this.presence ? "presence" : "command";
+    }
+    if (this.ignoreActive) return "schedule";
+    if (this.ambientDark) return "dark";
+    return this.counter <= 0 && !this.presence ? "timeout" : "command";
+  },
+
+  // First tick of a new day: the finished day's statistics go out once
+  checkHistoryDay: function (now) {
+    if (!this.history) return;
+    const today = dayKey(now.getTime());
+    if (today === this.historyDay) return;
+    const finished = this.historyDay;
+    this.historyDay = today;
+    this.emitHistoryStats(finished, true);
+  },
+
+  emitHistoryStats: function (day, final) {
+    if (!this.history) {
+      this.log("[history] statistics requested, but historyLog is not enabled", "simple");
+      return;
+    }
+    this.history.read((err, events) => {
+      if (err) {
+        this.log("[history] could not read the log: " + err, "simple");
+        return;
+      }
+      const stats = dailyStats(events, day, { falseTriggerSeconds: this.historyConfig().falseTriggerSeconds });
+      stats.final = final;
+      this.log(`[history] ${day}${final ? "" : " (so far)"}: screen on ${stats.screenOnMinutes} min, ${stats.wakeups} wakeup(s), ~${stats.falseTriggers} false trigger(s), presence ${stats.presenceMinutes} min in ${stats.presenceCount} event(s)`, "simple");
+      this.log("[history] stats: " + JSON.stringify(stats), "complex");
+      this.sendSocketNotification("HISTORY_STATS", stats);
+    });
+  },
+
+  // --- Energy estimate: panel draw per screen state, integrated over time ---
+
+  energyConfig: function () {
+    return Object.assign({}, ENERGY_DEFAULTS, this.config.energy);
+  },
+
+  energyFilePath: function () {
+    return path.join(__dirname, ENERGY_FILE_NAME);
+  },
+
+  setupEnergy: function () {
+    this.stopEnergy();
+    this.energy = null;
+    const e = this.energyConfig();
+    if (!e.enabled) return;
+    if (![e.wattsOn, e.wattsDimmed, e.wattsStandby].every(w => Number(w) >= 0) || !(Number(e.wattsOn) > 0)) {
+      console.error("PresenceControl: energy needs wattsOn > 0 and wattsDimmed / wattsStandby >= 0 — energy estimate disabled");
+      return;
+    }
+    // Totals keep counting across restarts (HA's total_increasing sensors expect that)
+    let saved = null;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.energyFilePath(), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") this.log("[energy] could not read totals: " + err, "simple");
+    }
+    const valid = saved && Number(saved.usedWh) >= 0 && Number(saved.baselineWh) >= 0 && Number(saved.since) > 0;
+    this.energy = valid
+      ? { since: Number(saved.since), usedWh: Number(saved.usedWh), baselineWh: Number(saved.baselineWh) }
+      : { since: Date.now(), usedWh: 0, baselineWh: 0 };
+    this.energyWatts = null;
+    this.energyLastAccrual = Date.now();
+    this.energyTicks = 0;
+    this.log(`[energy] ${e.wattsOn} W on / ${e.wattsDimmed} W dimmed / ${e.wattsStandby} W standby, totals since ${new Date(this.energy.since).toISOString()}`, "simple");
+    this.energyTimer = setInterval(() => {
+      this.sendPresenceUpdate();
+      if (++this.energyTicks % ENERGY_SAVE_TICKS === 0) this.saveEnergy();
+    }, ENERGY_TICK_MS);
+  },
+
+  stopEnergy: function () {
+    if (this.energyTimer) clearInterval(this.energyTimer);
+    this.energyTimer = null;
+    if (this.energy) {
+      this.accrueEnergy();
+      this.saveEnergy();
+    }
+  },
+
+  saveEnergy: function () {
+    try {
+      const tmp = this.energyFilePath() + ".tmp";
+      fs.writeFileSync(tmp, JSON.stringify(this.energy));
+      fs.renameSync(tmp, this.energyFilePath());
+    } catch (err) {
+      this.log("[energy] save failed: " + err, "simple");
+    }
+  },
+
+  // Books the time since the last call at the draw of the state that was current then,
+  // then switches to the draw of the current state. Runs on every PRESENCE_UPDATE.
+  accrueEnergy: function () {
+    if (!this.energy) return;
+    const now = Date.now();
+    const hours = (now - this.energyLastAccrual) / 3600000;
+    const e = this.energyConfig();
+    if (this.energyWatts !== null && hours > 0) {
+      this.energy.usedWh += this.energyWatts * hours;
+      this.energy.baselineWh += Number(e.wattsOn) * hours;
+    }
+    this.energyLastAccrual = now;
+    if (typeof this.screenOn !== "boolean") this.energyWatts = null;
+    else if (!this.screenOn) this.energyWatts = Number(e.wattsStandby);
+    else this.energyWatts = Number(this.dimmed ? e.wattsDimmed : e.wattsOn);
+  },
+
+  // kWh, rounded to Wh; saved = always-on baseline minus used
+  energyStatus: function () {
+    return {
+      usedKWh: Math.round(this.energy.usedWh) / 1000,
+      savedKWh: Math.max(0, Math.round(this.energy.baselineWh - this.energy.usedWh) / 1000),
+      since: this.energy.since
+    };
+  },
+
+  // --- Ambient light: lux reading from MQTT or a sysfs light sensor ---
+
+  ambientConfig: function () {
+    return Object.assign({}, AMBIENT_DEFAULTS, this.config.ambientLight);
+  },
+
+  ambientMqttTopic: function () {
+    const a = this.ambientConfig();
+    return a.enabled ? a.mqttTopic : "";
+  },
+
+  ambientActive: function () {
+    return this.ambientConfig().enabled && this.ambientLux !== null;
+  },
+
+  startAmbientLight: function () {
+    this.stopAmbientLight();
+    const a = this.ambientConfig();
+    if (!a.enabled) return;
+    if (!a.mqttTopic && !a.sysfsPath) {
+      console.error("PresenceControl: ambientLight.enabled needs mqttTopic or sysfsPath — ambient light disabled");
+      return;
+    }
+    if (interpolateCurve(a.curve, 0) === null) {
+      console.error("PresenceControl: ambientLight.curve has no valid [lux, level] points — using the default curve");
+      this.config.ambientLight = Object.assign({}, this.config.ambientLight, { curve: AMBIENT_DEFAULTS.curve });
+    }
+    this.log(`[ambient] lux from ${a.mqttTopic ? "MQTT " + a.mqttTopic : "sysfs " + a.sysfsPath}` + (a.darkBelow > 0 ? `, dark below ${a.darkBelow} lx` : ""), "simple");
+    if (a.sysfsPath) {
+      const poll = () => {
+        fs.readFile(a.sysfsPath, "utf8", (err, text) => {
+          if (err) this.log("[ambient] sysfs read failed: " + err, "complex");
+          else this.setAmbientLux(Number(text.trim()) * (Number(a.scale) || 1));
+        });
+      };
+      poll();
+      this.ambientPollTimer = setInterval(poll, Math.max(1, Number(a.pollInterval) || AMBIENT_DEFAULTS.pollInterval) * 1000);
+    }
+  },
+
+  stopAmbientLight: function () {
+    if (this.ambientPollTimer) clearInterval(this.ambientPollTimer);
+    this.ambientPollTimer = null;
+  },
+
+  // JSON with a field path, or a bare number
+  handleAmbientMessage: function (raw) {
+    const a = this.ambientConfig();
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch {
+      payload = raw.trim();
+    }
+    const lux = (typeof payload === "object" && payload !== null) ? extractNumber(payload, a.field) : extractNumber(payload, "$");
+    if (lux === null) {
+      this.log(`[ambient] no lux value at "${a.field}" in: ${raw}`, "complex");
+      return;
+    }
+    this.setAmbientLux(lux * (Number(a.scale) || 1));
+  },
+
+  setAmbientLux: function (lux) {
+    if (!Number.isFinite(lux)) return;
+    this.ambientLux = Math.round(lux * 10) / 10;
+    const a = this.ambientConfig();
+    const dark = a.darkBelow > 0 && this.ambientLux < a.darkBelow;
+    if (dark !== this.ambientDark) {
+      this.ambientDark = dark;
+      this.log(`[ambient] ${this.ambientLux} lx — room ${dark ? "dark, presence ignored" : "lit again"}`, "simple");
+      this.updatePresence();
+      return;
+    }
+    this.sendPresenceUpdate();
+  },
+
+  // Output level 0..1 for CSS / hardware: the dim level, scaled by the ambient curve if active
+  currentOutputLevel: function () {
+    const rel = this.currentDimLevel();
+    if (!this.ambientActive()) return rel;
+    const a = this.ambientConfig();
+    const full = interpolateCurve(a.curve, this.ambientLux);
+    let level = full * rel;
+    if (rel < 1 && this.dimStages.length === 0) {
+      const dim = interpolateCurve(a.dimCurve, this.ambientLux);
+      if (dim !== null) level = Math.min(full, dim);
+    }
+    return Math.round(Math.min(1, Math.max(0, level)) * 100) / 100;
+  },
+
+  // 0..1, 1 = not dimmed. Stages follow the countdown; classic auto-dim is one fixed level.
+  // ignoreDimmed: evaluate the stages even before this.dimmed is set (tick computing it).
+  currentDimLevel: function (ignoreDimmed = false) {
+    if (this.dimStages.length > 0) {
+      if (!ignoreDimmed && !this.dimmed) return 1;
+      // The profile is written for counterTimeout; an adaptive countdown stretches or shrinks it
+      const total = this.effectiveTimeout || this.config.counterTimeout;
+      return dimLevelAt(this.dimStages, (total - this.counter) * this.config.counterTimeout / total);
+    }
+    return this.dimmed ? this.config.autoDimmerOpacity : 1;
+  },
+
+  // Called with every status update; only acts when the dim level changes
+  syncBrightness: function () {
+    if (!this.brightness) return;
+    if (this.ambientActive()) {
+      // Absolute levels from the lux curve; nothing to write while the screen is off
+      const abs = this.currentOutputLevel();
+      if (this.screenOn === false || this.screenTarget === false || abs === this.brightnessAmbientLevel) return;
+      const rel = this.currentDimLevel();
+      const dimStart = this.brightnessDimLevel >= 1 && rel < 1 && this.dimStages.length === 0;
+      this.brightnessDimLevel = rel;
+      this.brightnessAmbientLevel = abs;
+      this.fadeBrightness(abs, dimStart ? this.config.autoDimmerTimeout * 1000 : 1000);
+      return;
+    }
+    const level = this.screenOn === false ? 1 : this.currentDimLevel();
+    if (level === this.brightnessDimLevel) return;
+    const wasFull = this.brightnessDimLevel >= 1;
+    this.brightnessDimLevel = level;
+    if (level >= 1) {
+      this.fadeBrightness(this.brightnessFull === null ? 1 : this.brightnessFull, 600);
+      return;
+    }
+    // Classic auto-dim fades once over autoDimmerTimeout; stages send a new level every second
+    const duration = this.dimStages.length > 0 ? 1000 : this.config.autoDimmerTimeout * 1000;
+    const start = () => {
+      const full = this.brightnessFull === null ? 1 : this.brightnessFull;
+      this.fadeBrightness(full * this.brightnessDimLevel, duration);
+    };
+    // Dimming starts: read the current level first, that is what presence restores. Mid-fade
+    // the panel is between levels, so the remembered one stays.
+    if (!wasFull || this.brightnessFadeTimer) {
+      start();
+      return;
+    }
+    this.brightness.get((err, current) => {
+      if (err) this.log("[brightness] read failed: " + err, "complex");
+      if (typeof current === "number" && current > 0) this.brightnessFull = current;
+      if (this.brightnessDimLevel < 1) start();
+    });
+  },
+
+  fadeBrightness: function (target, durationMs) {
+    if (this.brightnessFadeTimer) clearTimeout(this.brightnessFadeTimer);
+    this.brightnessFadeTimer = null;
+    const token = ++this.brightnessFadeToken;
+    const from = this.brightnessLevel === null ? (this.brightnessFull === null ? 1 : this.brightnessFull) : this.brightnessLevel;
+    const began = Date.now();
+    this.log(`[brightness] fade ${from.toFixed(2)} -> ${target.toFixed(2)} over ${Math.round(durationMs / 1000)}s`, "complex");
+    const step = () => {
+      this.brightnessFadeTimer = null;
+      if (token !== this.brightnessFadeToken || !this.brightness) return;
+      const t = durationMs > this.brightness.stepMs ? Math.min(1, (Date.now() - began) / durationMs) : 1;
+      const level = from + (target - from) * t;
+      // Next step only after the write finished: ddcutil can be slower than the step interval
+      this.brightness.set(level, (err) => {
+        if (err) this.log("[brightness] set failed: " + err, "simple");
+        else this.brightnessLevel = level;
+        if (t < 1 && token === this.brightnessFadeToken) this.brightnessFadeTimer = setTimeout(step, this.brightness.stepMs);
+      });
+    };
+    step();
+  },
+
+  // Shutdown or CONFIG resend: never leave the panel dimmed
+  stopBrightness: function () {
+    if (!this.brightness) return;
+    this.brightnessFadeToken++;
+    if (this.brightnessFadeTimer) clearTimeout(this.brightnessFadeTimer);
+    this.brightnessFadeTimer = null;
+    if (this.brightnessDimLevel < 1) this.brightness.set(this.brightnessFull === null ? 1 : this.brightnessFull, () => {});
+    this.brightness = null;
+    this.brightnessDimLevel = 1;
+    this.brightnessAmbientLevel = null;
+    this.brightnessLevel = null;
+  },
+
+  // Status snapshot shared by PRESENCE_UPDATE and the HTTP API
+  buildStatus: function () {
     let payload = {
       presence: this.presence,
       counter: this.counter,
+      effectiveTimeout: this.effectiveTimeout,
       dimmed: this.dimmed,
       alwaysOn: this.alwaysOn,
       ignoreActive: this.ignoreActive,
       screenOn: this.screenOn,
-      locked: this.locked
+      lastCommandResult: this.lastCommandResult,
+      locked: this.locked,
+      activeSources: this.sources.active(),
+      staleSources: this.sources.stale()
     };
+    if (this.dimStages.length > 0 || this.ambientActive()) payload.dimLevel = this.currentOutputLevel();
+    if (this.ambientConfig().enabled) {
+      payload.ambientLux = this.ambientLux;
+      payload.ambientDark = this.ambientDark;
+    }
+    if (this.energy) payload.energy = this.energyStatus();
+    if (this.mqtt) payload.mqtt = this.mqtt.status();
     if (this.alwaysOn && this.alwaysOnWindow) {
       payload.alwaysOnTotal = this.alwaysOnWindow.total;
       payload.alwaysOnLeft = Math.max(0, this.alwaysOnWindow.left);
     }
-    this.sendSocketNotification("PRESENCE_UPDATE", payload);
+    if (this.override) {
+      payload.override = {
+        mode: this.override.mode,
+        total: this.override.total,
+        left: Math.max(0, Math.ceil((this.override.expiry - Date.now()) / 1000))
+      };
+    }
+    return payload;
+  },
+
+  sendPresenceUpdate: function () {
+    this.accrueEnergy();
+    const status = this.buildStatus();
+    this.sendSocketNotification("PRESENCE_UPDATE", status);
+    this.syncBrightness();
+    this.broadcastWakeupStatus(status);
     this.publishHaSensors();
+    this.publishMqttApiStatus(status, false);
+    this.publishPeerPresence(false);
   },
 
   // --- Home Assistant MQTT-Discovery (switch + optional presence binary_sensors) ---
@@ -580,9 +2190,40 @@ module.exports = NodeHelper.create({
       availability: base + HA_AVAIL_SUFFIX,
       presenceState: base + HA_PRESENCE_SUFFIX,
       motionState: base + HA_MOTION_SUFFIX,
+      staleState: base + HA_STALE_SUFFIX,
+      staleAttributes: base + HA_STALE_SUFFIX + "/attributes",
+      commandResult: base + HA_COMMAND_RESULT_SUFFIX,
+      energyState: base + HA_ENERGY_SUFFIX,
+      statusState: base + HA_STATUS_SUFFIX,
+      statusDiscovery: {
+        countdown: prefix + "/sensor/" + objectId + "_countdown/config",
+        dimmed: prefix + "/binary_sensor/" + objectId + "_dimmed/config",
+        mode: prefix + "/sensor/" + objectId + "_mode/config",
+        offAt: prefix + "/sensor/" + objectId + "_off_at/config"
+      },
+      settingState: (slug) => base + HA_SETTING_SUFFIX + slug,
+      settingCommand: (slug) => base + HA_SETTING_SUFFIX + slug + HA_CMD_SUFFIX,
+      settingDiscovery: (entity) => prefix + "/" + entity.component + "/" + objectId + "_" + entity.slug + "/config",
+      overrideState: {
+        alwaysOn: base + HA_OVERRIDE_SUFFIX + "alwayson",
+        ignore: base + HA_OVERRIDE_SUFFIX + "ignore"
+      },
+      overrideCommand: {
+        alwaysOn: base + HA_OVERRIDE_SUFFIX + "alwayson" + HA_CMD_SUFFIX,
+        ignore: base + HA_OVERRIDE_SUFFIX + "ignore" + HA_CMD_SUFFIX
+      },
       discovery: prefix + "/switch/" + objectId + "/config",
       occupancyDiscovery: prefix + "/binary_sensor/" + objectId + "_occupancy/config",
-      motionDiscovery: prefix + "/binary_sensor/" + objectId + "_motion/config"
+      motionDiscovery: prefix + "/binary_sensor/" + objectId + "_motion/config",
+      staleDiscovery: prefix + "/binary_sensor/" + objectId + "_stale/config",
+      energyDiscovery: {
+        used: prefix + "/sensor/" + objectId + "_energy/config",
+        saved: prefix + "/sensor/" + objectId + "_energy_saved/config"
+      },
+      overrideDiscovery: {
+        alwaysOn: prefix + "/number/" + objectId + "_override_alwayson/config",
+        ignore: prefix + "/number/" + objectId + "_override_ignore/config"
+      }
     };
   },
 
@@ -604,6 +2245,7 @@ module.exports = NodeHelper.create({
       unique_id: t.objectId,
       command_topic: t.command,
       state_topic: t.state,
+      json_attributes_topic: t.commandResult,
       availability_topic: t.availability,
       payload_on: HA_PAYLOAD_ON,
       payload_off: HA_PAYLOAD_OFF,
@@ -632,17 +2274,152 @@ module.exports = NodeHelper.create({
     };
   },
 
-  startHomeAssistant: function () {
-    if (this.haClient) {
-      try { this.haClient.end(true); } catch (e) {}
-      this.haClient = null;
+  buildStaleDiscovery: function () {
+    const t = this.haTopics;
+    return {
+      name: "Sensor stale",
+      unique_id: t.objectId + "_stale",
+      state_topic: t.staleState,
+      json_attributes_topic: t.staleAttributes,
+      device_class: "problem",
+      entity_category: "diagnostic",
+      payload_on: HA_PAYLOAD_ON,
+      payload_off: HA_PAYLOAD_OFF,
+      availability_topic: t.availability,
+      payload_available: HA_AVAIL_ONLINE,
+      payload_not_available: HA_AVAIL_OFFLINE,
+      device: this.haDevice()
+    };
+  },
+
+  // Energy as HA energy sensors (usable in the Energy dashboard); both read the same JSON state
+  buildEnergyDiscovery: function (kind) {
+    const t = this.haTopics;
+    const isSaved = (kind === "saved");
+    return {
+      name: isSaved ? "Energy saved" : "Energy",
+      unique_id: t.objectId + (isSaved ? "_energy_saved" : "_energy"),
+      state_topic: t.energyState,
+      value_template: isSaved ? "{{ value_json.saved_kwh }}" : "{{ value_json.used_kwh }}",
+      device_class: "energy",
+      state_class: "total_increasing",
+      unit_of_measurement: "kWh",
+      icon: isSaved ? "mdi:leaf" : undefined,
+      availability_topic: t.availability,
+      payload_available: HA_AVAIL_ONLINE,
+      payload_not_available: HA_AVAIL_OFFLINE,
+      device: this.haDevice()
+    };
+  },
+
+  // What the presence bar shows, as four entities reading one JSON state topic
+  buildStatusDiscovery: function (kind) {
+    const t = this.haTopics;
+    const common = {
+      state_topic: t.statusState,
+      availability_topic: t.availability,
+      payload_available: HA_AVAIL_ONLINE,
+      payload_not_available: HA_AVAIL_OFFLINE,
+      device: this.haDevice()
+    };
+    switch (kind) {
+      case "countdown":
+        return Object.assign({
+          name: "Countdown",
+          unique_id: t.objectId + "_countdown",
+          value_template: "{{ value_json.countdown }}",
+          device_class: "duration",
+          unit_of_measurement: "s",
+          icon: "mdi:timer-outline"
+        }, common);
+      case "dimmed":
+        return Object.assign({
+          name: "Dimmed",
+          unique_id: t.objectId + "_dimmed",
+          value_template: "{{ 'ON' if value_json.dimmed else 'OFF' }}",
+          payload_on: HA_PAYLOAD_ON,
+          payload_off: HA_PAYLOAD_OFF,
+          icon: "mdi:brightness-4"
+        }, common);
+      case "mode":
+        return Object.assign({
+          name: "Mode",
+          unique_id: t.objectId + "_mode",
+          value_template: "{{ value_json.mode }}",
+          device_class: "enum",
+          options: HA_STATUS_MODES,
+          icon: "mdi:state-machine"
+        }, common);
+      default:
+        return Object.assign({
+          name: "Screen off at",
+          unique_id: t.objectId + "_off_at",
+          value_template: "{{ value_json.off_at if value_json.off_at else 'None' }}",
+          device_class: "timestamp"
+        }, common);
     }
+  },
+
+  // Settings as number / switch / select entities in HA's "configuration" section of the device
+  buildSettingDiscovery: function (entity) {
+    const t = this.haTopics;
+    const payload = {
+      name: entity.name,
+      unique_id: t.objectId + "_" + entity.slug,
+      command_topic: t.settingCommand(entity.slug),
+      state_topic: t.settingState(entity.slug),
+      entity_category: "config",
+      icon: entity.icon,
+      availability_topic: t.availability,
+      payload_available: HA_AVAIL_ONLINE,
+      payload_not_available: HA_AVAIL_OFFLINE,
+      device: this.haDevice()
+    };
+    if (entity.component === "number") {
+      Object.assign(payload, { min: entity.min, max: entity.max, step: entity.step, mode: "box" });
+      if (entity.unit) payload.unit_of_measurement = entity.unit;
+    } else if (entity.component === "switch") {
+      Object.assign(payload, { payload_on: HA_PAYLOAD_ON, payload_off: HA_PAYLOAD_OFF, state_on: HA_PAYLOAD_ON, state_off: HA_PAYLOAD_OFF });
+    } else {
+      payload.options = entity.options;
+    }
+    return payload;
+  },
+
+  settingValue: function (key) {
+    return key === "locked" ? this.locked : this.config[key];
+  },
+
+  // Override as number entity: minutes left; setting a value starts/replaces the override, 0 clears it
+  buildOverrideDiscovery: function (mode) {
+    const t = this.haTopics;
+    const isIgnore = (mode === "ignore");
+    return {
+      name: isIgnore ? "Ignore presence for" : "Keep on for",
+      unique_id: t.objectId + (isIgnore ? "_override_ignore" : "_override_alwayson"),
+      command_topic: t.overrideCommand[mode],
+      state_topic: t.overrideState[mode],
+      min: 0,
+      max: HA_OVERRIDE_MAX_MIN,
+      step: 1,
+      mode: "box",
+      unit_of_measurement: "min",
+      icon: isIgnore ? "mdi:sleep" : "mdi:television-play",
+      availability_topic: t.availability,
+      payload_available: HA_AVAIL_ONLINE,
+      payload_not_available: HA_AVAIL_OFFLINE,
+      device: this.haDevice()
+    };
+  },
+
+  startHomeAssistant: function () {
     const t = this.buildHaTopics();
     this.haTopics = t;
 
-    // R11: never share the presence sensor's topic — would create a state->presence feedback loop
-    if (t.command === this.config.mqttTopic || t.state === this.config.mqttTopic) {
-      console.error("PresenceControl: homeAssistant topics collide with mqttTopic — HA integration disabled");
+    // R11: never share a presence sensor topic — would create a state->presence feedback loop
+    const sensorTopics = this.mqttTopicDefs.map(def => def.topic);
+    if (sensorTopics.some(st => this.mqttTopicMatches(st, t.command) || this.mqttTopicMatches(st, t.state))) {
+      console.error("PresenceControl: homeAssistant topics collide with an MQTT presence topic — HA integration disabled");
       this.log("[HA] topic collision with mqttTopic — aborting HA init", "simple");
       this.haTopics = null;
       return;
@@ -651,56 +2428,98 @@ module.exports = NodeHelper.create({
     // Which presence binary_sensors to expose: "off" | "occupancy" | "motion" | "both"
     const ep = this.config.homeAssistant.exposePresence || "off";
     const wantMotion = (ep === "motion" || ep === "both");
-    const pirActive = (this.config.mode === "PIR" || this.config.mode === "PIR_MQTT");
+    const pirActive = this.sources.has("pir");
     if (wantMotion && !pirActive) {
-      this.log("[HA] exposePresence requested 'motion' but no PIR mode is active — motion sensor skipped", "simple");
+      this.log("[HA] exposePresence requested 'motion' but the pir source is not enabled — motion sensor skipped", "simple");
     }
     this.haExpose = {
       occupancy: (ep === "occupancy" || ep === "both"),
-      motion: wantMotion && pirActive
+      motion: wantMotion && pirActive,
+      stale: !!this.config.homeAssistant.exposeStale,
+      override: !!this.config.homeAssistant.exposeOverride,
+      energy: !!this.energy,
+      settings: !!this.config.homeAssistant.exposeSettings,
+      status: !!this.config.homeAssistant.exposeStatus
     };
 
-    const options = {
-      reconnectPeriod: HA_RECONNECT_MS,
-      queueQoSZero: false,
-      will: { topic: t.availability, payload: HA_AVAIL_OFFLINE, retain: true, qos: HA_QOS }
-    };
-    if (this.config.mqttUser) { options.username = this.config.mqttUser; }
-    if (this.config.mqttPassword) { options.password = this.config.mqttPassword; }
-
-    this.haClient = mqtt.connect(this.config.mqttServer, options);
+    const conn = this.mqttConnection();
+    // One LWT per connection: discovery must point at the topic the connection really uses
+    t.availability = conn.availabilityTopic || t.availability;
 
     // connect handler runs on every (re)connect — republishing discovery/availability/state is self-healing
-    this.haClient.on("connect", () => {
+    conn.onConnect(() => {
       this.log("[HA] connected", "simple");
       if (this.config.homeAssistant.discovery) {
-        this.haClient.publish(t.discovery, JSON.stringify(this.buildDiscoveryPayload()), { retain: true, qos: HA_QOS });
+        this.mqtt.publish(t.discovery, JSON.stringify(this.buildDiscoveryPayload()), { retain: true, qos: HA_QOS });
         if (this.haExpose.occupancy) {
-          this.haClient.publish(t.occupancyDiscovery, JSON.stringify(this.buildSensorDiscovery("occupancy")), { retain: true, qos: HA_QOS });
+          this.mqtt.publish(t.occupancyDiscovery, JSON.stringify(this.buildSensorDiscovery("occupancy")), { retain: true, qos: HA_QOS });
         }
         if (this.haExpose.motion) {
-          this.haClient.publish(t.motionDiscovery, JSON.stringify(this.buildSensorDiscovery("motion")), { retain: true, qos: HA_QOS });
+          this.mqtt.publish(t.motionDiscovery, JSON.stringify(this.buildSensorDiscovery("motion")), { retain: true, qos: HA_QOS });
+        }
+        if (this.haExpose.stale) {
+          this.mqtt.publish(t.staleDiscovery, JSON.stringify(this.buildStaleDiscovery()), { retain: true, qos: HA_QOS });
+        }
+        if (this.haExpose.override) {
+          OVERRIDE_MODES.forEach(mode => {
+            this.mqtt.publish(t.overrideDiscovery[mode], JSON.stringify(this.buildOverrideDiscovery(mode)), { retain: true, qos: HA_QOS });
+          });
+        }
+        if (this.haExpose.energy) {
+          ["used", "saved"].forEach(kind => {
+            this.mqtt.publish(t.energyDiscovery[kind], JSON.stringify(this.buildEnergyDiscovery(kind)), { retain: true, qos: HA_QOS });
+          });
+        }
+        if (this.haExpose.status) {
+          ["countdown", "dimmed", "mode", "offAt"].forEach(kind => {
+            this.mqtt.publish(t.statusDiscovery[kind], JSON.stringify(this.buildStatusDiscovery(kind)), { retain: true, qos: HA_QOS });
+          });
+        }
+        if (this.haExpose.settings) {
+          HA_SETTING_ENTITIES.forEach(entity => {
+            this.mqtt.publish(t.settingDiscovery(entity), JSON.stringify(this.buildSettingDiscovery(entity)), { retain: true, qos: HA_QOS });
+          });
         }
       }
-      this.haClient.publish(t.availability, HA_AVAIL_ONLINE, { retain: true, qos: HA_QOS });
       this.publishHaState();
       this.haLastPresence = null;   // force sensor re-publish on (re)connect
       this.haLastPir = null;
+      this.haLastStale = null;
+      this.haLastOverride = null;
+      this.haLastEnergy = null;
+      this.haLastSettings = null;
+      this.haLastStatus = null;
       this.publishHaSensors();
-      this.haClient.subscribe(t.command, { qos: HA_QOS }, (err) => {
-        if (err) this.log("[HA] subscribe error: " + err, "simple");
-        else this.log("[HA] subscribed to " + t.command, "simple");
-      });
     });
 
-    this.haClient.on("message", (topic, message) => {
+    const commandTopics = [t.command];
+    if (this.haExpose.override) commandTopics.push(t.overrideCommand.alwaysOn, t.overrideCommand.ignore);
+    if (this.haExpose.settings) HA_SETTING_ENTITIES.forEach(entity => commandTopics.push(t.settingCommand(entity.slug)));
+    conn.subscribe(commandTopics, HA_QOS, (topic, message) => {
+      const setting = this.haExpose.settings && HA_SETTING_ENTITIES.find(entity => t.settingCommand(entity.slug) === topic);
+      if (setting) {
+        this.handleHaSetting(setting, message.toString().trim());
+        return;
+      }
+      const overrideMode = OVERRIDE_MODES.find(mode => t.overrideCommand[mode] === topic);
+      if (overrideMode) {
+        const minutes = Number(message.toString().trim());
+        if (!Number.isFinite(minutes) || minutes < 0) {
+          this.log("[HA] ignoring invalid override value: " + message.toString(), "simple");
+        } else if (minutes === 0) {
+          if (this.override && this.override.mode === overrideMode) this.runCommand("clearOverride", undefined, "homeassistant");
+        } else {
+          this.runCommand("override", { mode: overrideMode, minutes: minutes }, "homeassistant");
+        }
+        this.haLastOverride = null;   // confirm (or snap back) the number entities
+        this.publishHaSensors();
+        return;
+      }
       const cmd = message.toString().trim().toUpperCase();
       if (cmd === HA_PAYLOAD_ON) {
-        this.haPresence = true;
-        this.updatePresence();
+        this.setSourcePresence("ha", true);
       } else if (cmd === HA_PAYLOAD_OFF) {
-        this.haPresence = false;
-        this.updatePresence();
+        this.setSourcePresence("ha", false);
       } else {
         this.log("[HA] ignoring unknown command payload: " + cmd, "simple");
         return;
@@ -708,46 +2527,375 @@ module.exports = NodeHelper.create({
       // Confirmation publish: snap the switch back to reality if the command was rejected/overridden by cron windows
       this.publishHaState();
     });
-
-    this.haClient.on("error", (err) => { this.log("[HA] connection error: " + err, "simple"); });
-    this.haClient.on("close", () => { this.log("[HA] connection closed", "simple"); });
-    this.haClient.on("offline", () => { this.log("[HA] offline", "simple"); });
-    this.haClient.on("reconnect", () => { this.log("[HA] reconnecting", "simple"); });
   },
 
   publishHaState: function () {
-    if (!this.haClient || !this.haTopics || typeof this.screenOn !== "boolean") return;
+    if (!this.mqtt || !this.haTopics || typeof this.screenOn !== "boolean") return;
     const payload = this.screenOn ? HA_PAYLOAD_ON : HA_PAYLOAD_OFF;
-    this.haClient.publish(this.haTopics.state, payload, { retain: true, qos: HA_STATE_QOS });
+    this.mqtt.publish(this.haTopics.state, payload, { retain: true, qos: HA_STATE_QOS });
+    const r = this.lastCommandResult;
+    if (r) {
+      this.mqtt.publish(this.haTopics.commandResult, JSON.stringify({
+        last_command: r.on ? "on" : "off",
+        ok: r.ok,
+        attempts: r.attempts,
+        error: r.error,
+        at: new Date(r.at).toISOString()
+      }), { retain: true, qos: HA_STATE_QOS });
+    }
   },
 
   // Publish the presence binary_sensors on transitions only (change-guarded)
   publishHaSensors: function () {
-    if (!this.haClient || !this.haTopics || !this.haExpose) return;
+    if (!this.mqtt || !this.haTopics || !this.haExpose) return;
     if (this.haExpose.occupancy && this.presence !== this.haLastPresence) {
       this.haLastPresence = this.presence;
-      this.haClient.publish(this.haTopics.presenceState, this.presence ? HA_PAYLOAD_ON : HA_PAYLOAD_OFF, { retain: true, qos: HA_STATE_QOS });
+      this.mqtt.publish(this.haTopics.presenceState, this.presence ? HA_PAYLOAD_ON : HA_PAYLOAD_OFF, { retain: true, qos: HA_STATE_QOS });
+    }
+    const pirPresence = this.sources.isActive("pir");
+    if (this.haExpose.motion && pirPresence !== this.haLastPir) {
+      this.haLastPir = pirPresence;
+      this.mqtt.publish(this.haTopics.motionState, pirPresence ? HA_PAYLOAD_ON : HA_PAYLOAD_OFF, { retain: true, qos: HA_STATE_QOS });
+    }
+    const override = this.override;
+    const overrideKey = override ? override.mode + ":" + Math.ceil((override.expiry - Date.now()) / 60000) : "";
+    if (this.haExpose.override && overrideKey !== this.haLastOverride) {
+      this.haLastOverride = overrideKey;
+      OVERRIDE_MODES.forEach(mode => {
+        const minutes = (override && override.mode === mode) ? Math.max(0, Math.ceil((override.expiry - Date.now()) / 60000)) : 0;
+        this.mqtt.publish(this.haTopics.overrideState[mode], String(minutes), { retain: true, qos: HA_STATE_QOS });
+      });
+    }
+    const stale = this.sources.stale();
+    const staleKey = stale.join(",");
+    if (this.haExpose.stale && staleKey !== this.haLastStale) {
+      this.haLastStale = staleKey;
+      this.mqtt.publish(this.haTopics.staleAttributes, JSON.stringify({ stale_sources: stale }), { retain: true, qos: HA_STATE_QOS });
+      this.mqtt.publish(this.haTopics.staleState, stale.length > 0 ? HA_PAYLOAD_ON : HA_PAYLOAD_OFF, { retain: true, qos: HA_STATE_QOS });
+    }
+    if (this.haExpose.status) this.publishHaStatus();
+    if (this.haExpose.settings) {
+      if (!this.haLastSettings) this.haLastSettings = {};
+      HA_SETTING_ENTITIES.forEach(entity => {
+        const value = this.settingValue(entity.key);
+        const state = entity.component === "switch" ? (value ? HA_PAYLOAD_ON : HA_PAYLOAD_OFF) : String(value);
+        if (state === this.haLastSettings[entity.slug]) return;
+        this.haLastSettings[entity.slug] = state;
+        this.mqtt.publish(this.haTopics.settingState(entity.slug), state, { retain: true, qos: HA_STATE_QOS });
+      });
     }
-    if (this.haExpose.motion && this.pirPresence !== this.haLastPir) {
-      this.haLastPir = this.pirPresence;
-      this.haClient.publish(this.haTopics.motionState, this.pirPresence ? HA_PAYLOAD_ON : HA_PAYLOAD_OFF, { retain: true, qos: HA_STATE_QOS });
+    if (this.haExpose.energy && this.energy) {
+      const e = this.energyStatus();
+      const energyKey = e.usedKWh + "/" + e.savedKWh;
+      if (energyKey !== this.haLastEnergy) {
+        this.haLastEnergy = energyKey;
+        this.mqtt.publish(this.haTopics.energyState, JSON.stringify({
+          used_kwh: e.usedKWh,
+          saved_kwh: e.savedKWh,
+          since: new Date(e.since).toISOString()
+        }), { retain: true, qos: HA_STATE_QOS });
+      }
     }
   },
 
-  stopHomeAssistant: function () {
-    if (!this.haClient) return;
-    const client = this.haClient;
-    const avail = this.haTopics ? this.haTopics.availability : null;
-    this.haClient = null;
-    try {
-      if (avail) {
-        // publish offline first, then end inside the callback so the message is flushed
-        client.publish(avail, HA_AVAIL_OFFLINE, { retain: true, qos: HA_QOS }, () => {
-          try { client.end(false, {}, () => {}); } catch (e) {}
+  haStatusMode: function () {
+    if (this.locked) return "locked";
+    if (this.alwaysOn) return this.alwaysOnWindow && this.alwaysOnWindow.from === "startup" ? "startupGrace" : "alwaysOn";
+    if (this.ignoreActive || this.ambientDark) return "ignore";
+    return "normal";
+  },
+
+  // Expected switch-off time (ms) while the screen is on: the end of the countdown (which restarts
+  // as long as someone is present), after an always-on window only once it is over; null if none is due
+  haOffAt: function (now) {
+    if (this.screenOn !== true || this.locked) return null;
+    if (this.alwaysOn) {
+      if (!this.alwaysOnWindow) return null;
+      // The countdown waits during the window: a full one if someone is there, else what was left.
+      // this.presence is forced true here, so ask the sources (a skip that skips nothing keeps it quiet).
+      const present = this.evaluatePresenceSources(() => false);
+      const after = present ? this.currentTimeout() : this.counter;
+      return now + (Math.max(0, this.alwaysOnWindow.left) + Math.max(0, after)) * 1000;
+    }
+    if (this.presence) return now + this.currentTimeout() * 1000;
+    return this.counter > 0 ? now + this.counter * 1000 : null;
+  },
+
+  // Mode, dim state and the start/end of a countdown go out at once; the ticking countdown
+  // (and the off time drifting with it) at most every statusInterval seconds
+  publishHaStatus: function () {
+    const now = Date.now();
+    const last = this.haLastStatus;
+    const status = { mode: this.haStatusMode(), dimmed: !!this.dimmed, counter: this.counter, offAt: this.haOffAt(now), at: now };
+    const intervalMs = (Number(this.config.homeAssistant.statusInterval) || HA_STATUS_INTERVAL_S) * 1000;
+    const immediate = !last ||
+      status.mode !== last.mode ||
+      status.dimmed !== last.dimmed ||
+      (status.offAt === null) !== (last.offAt === null) ||
+      status.counter > last.counter ||
+      (status.counter === 0 && last.counter !== 0);
+    const periodic = !immediate && now - last.at >= intervalMs && (status.counter !== last.counter || status.offAt !== last.offAt);
+    if (!immediate && !periodic) return;
+    this.haLastStatus = status;
+    this.mqtt.publish(this.haTopics.statusState, JSON.stringify({
+      countdown: status.counter,
+      dimmed: status.dimmed,
+      mode: status.mode,
+      off_at: status.offAt === null ? null : new Date(status.offAt).toISOString()
+    }), { retain: true, qos: HA_STATE_QOS });
+  },
+
+  handleHaSetting: function (entity, raw) {
+    let value = raw;
+    if (entity.component === "switch") {
+      const cmd = raw.toUpperCase();
+      if (cmd !== HA_PAYLOAD_ON && cmd !== HA_PAYLOAD_OFF) {
+        this.log(`[HA] ignoring invalid ${entity.key} payload: ${raw}`, "simple");
+        return;
+      }
+      value = (cmd === HA_PAYLOAD_ON);
+    }
+    const ok = entity.key === "locked"
+      ? this.runCommand(value ? "lock" : "unlock", undefined, "homeassistant")
+      : this.applySetting(entity.key, value, "homeassistant");
+    // A rejected value: publish the current one again so the entity snaps back
+    if (!ok && this.haLastSettings) delete this.haLastSettings[entity.slug];
+    this.publishHaSensors();
+  },
+
+  // --- Generic MQTT API: <prefix>/status (JSON), <prefix>/availability, <prefix>/cmd/<command> ---
+
+  mqttApiConfig: function () {
+    return Object.assign({}, MQTT_API_DEFAULTS, this.config.mqttApi);
+  },
+
+  mqttApiPrefix: function () {
+    return String(this.mqttApiConfig().topicPrefix || MQTT_API_DEFAULTS.topicPrefix).replace(/\/+$/, "");
+  },
+
+  startMqttApi: function () {
+    const a = this.mqttApiConfig();
+    const prefix = this.mqttApiPrefix();
+    const t = {
+      status: prefix + "/status",
+      command: prefix + "/cmd/",
+      error: prefix + "/error"
+    };
+    // Same rule as for HA: our own status must never feed a presence sensor or the override topic
+    const inputTopics = this.mqttTopicDefs.map(def => def.topic).concat(this.config.mqttOverrideTopic || []);
+    if (inputTopics.some(it => this.mqttTopicMatches(it, t.status) || this.mqttTopicMatches(it, t.error) || this.mqttTopicMatches(it, t.command + "wakeup"))) {
+      console.error("PresenceControl: mqttApi.topicPrefix collides with an MQTT presence/override topic — MQTT API disabled");
+      this.log("[mqttApi] topic collision — aborting MQTT API init", "simple");
+      return;
+    }
+    if (![0, 1, 2].includes(Number(a.qos))) {
+      console.error(`PresenceControl: mqttApi.qos must be 0, 1 or 2 (got ${a.qos}) — using 0`);
+    }
+    this.apiTopics = t;
+    const conn = this.mqttConnection();
+
+    conn.onConnect(() => {
+      this.log("[mqttApi] connected, prefix " + prefix, "simple");
+      // Usually already sent by the "connected" state update; guarded against a second copy
+      this.publishMqttApiStatus(this.buildStatus(), false);
+    });
+
+    conn.subscribe(t.command + "+", this.mqttApiQos(), (topic, message) => {
+      const command = topic.slice(t.command.length).toLowerCase();
+      if (!MQTT_API_COMMANDS.includes(command)) {
+        this.log("[mqttApi] ignoring unknown command topic: " + topic, "simple");
+        return;
+      }
+      const raw = message.toString().trim();
+      const publishedAt = this.apiLastAt;
+      if (!this.runCommand(command, command === "override" ? raw : undefined, "mqttapi")) {
+        this.mqtt.publish(t.error, JSON.stringify({ command: command, error: COMMAND_ERRORS[command] || "command failed" }), { qos: this.mqttApiQos() });
+        return;
+      }
+      // Always answer, even when the command changed nothing (e.g. lock while locked)
+      if (this.apiLastAt === publishedAt) this.publishMqttApiStatus(this.buildStatus(), true);
+    });
+  },
+
+  mqttApiQos: function () {
+    const qos = Number(this.mqttApiConfig().qos);
+    return [0, 1, 2].includes(qos) ? qos : 0;
+  },
+
+  // State changes go out at once; the ticking countdown at most every statusInterval seconds (0 = every update)
+  publishMqttApiStatus: function (status, force) {
+    if (!this.mqtt || !this.apiTopics || !this.mqtt.connected) return;
+    const a = this.mqttApiConfig();
+    const json = JSON.stringify(status);
+    const key = this.wakeupStatusKey(status);
+    const now = Date.now();
+    const intervalMs = Math.max(0, Number(a.statusInterval) || 0) * 1000;
+    if (!force && key === this.apiLastKey && (json === this.apiLastJson || now - this.apiLastAt < intervalMs)) return;
+    this.apiLastKey = key;
+    this.apiLastJson = json;
+    this.apiLastAt = now;
+    this.mqtt.publish(this.apiTopics.status, json, { retain: a.retain !== false, qos: this.mqttApiQos() });
+  },
+
+  // --- Peer group: mirrors sharing a broker see each other's presence ---
+  //   <topic>/<id>/presence  {"presence":true,"at":"..."} on change, repeated every PEER_HEARTBEAT_S while present
+  //   <topic>/<id>/end       END on one mirror, obeyed by the others (shareEnd)
+
+  peerGroupConfig: function () {
+    return Object.assign({}, PEER_GROUP_DEFAULTS, this.config.peerGroup);
+  },
+
+  // Own id: peerGroup.id, else the HA objectId (already unique per mirror when several share a broker)
+  peerId: function () {
+    const g = this.peerGroupConfig();
+    return String(g.id || (this.config.homeAssistant && this.config.homeAssistant.objectId) || HA_DEFAULT_OBJECT_ID);
+  },
+
+  // peers: "hallway" or { id: "hallway", delay: 5, timeout: 30 }
+  buildPeerDefs: function () {
+    const g = this.peerGroupConfig();
+    if (!g.enabled) return [];
+    const own = this.peerId();
+    const defs = [];
+    (Array.isArray(g.peers) ? g.peers : []).forEach((entry, i) => {
+      const peer = typeof entry === "string" ? { id: entry } : (entry || {});
+      const id = String(peer.id || "").trim();
+      if (!id || /[/+#]/.test(id)) {
+        console.error(`PresenceControl: peerGroup.peers[${i}]: invalid id "${id}" — peer ignored`);
+      } else if (id === own) {
+        console.error(`PresenceControl: peerGroup.peers[${i}]: "${id}" is this mirror's own id (peerGroup.id) — peer ignored`);
+      } else if (!defs.some(p => p.id === id)) {
+        defs.push({
+          id: id,
+          source: PEER_SOURCE_PREFIX + id,
+          delay: Number(peer.delay) > 0 ? Number(peer.delay) : 0,
+          timeout: Number(peer.timeout) > 0 ? Number(peer.timeout) : 0
         });
-      } else {
-        client.end(true);
       }
-    } catch (e) {}
+    });
+    return defs;
+  },
+
+  startPeerGroup: function () {
+    const g = this.peerGroupConfig();
+    const base = String(g.topic || PEER_GROUP_DEFAULTS.topic).replace(/\/+$/, "");
+    const own = this.peerId();
+    if (/[/+#]/.test(own)) {
+      console.error(`PresenceControl: peerGroup.id "${own}" must not contain / + or # — peer group disabled`);
+      return;
+    }
+    const t = { base: base, presence: `${base}/${own}/presence`, end: `${base}/${own}/end` };
+    // Same rule as for HA: group traffic must never feed a presence sensor or the override topic
+    const inputTopics = this.mqttTopicDefs.map(def => def.topic).concat(this.config.mqttOverrideTopic || []);
+    if (inputTopics.some(it => this.mqttTopicMatches(it, t.presence) || this.mqttTopicMatches(it, t.end))) {
+      console.error("PresenceControl: peerGroup.topic collides with an MQTT presence/override topic — peer group disabled");
+      this.log("[peers] topic collision — aborting peer group init", "simple");
+      return;
+    }
+    this.peerTopics = t;
+    const conn = this.mqttConnection();
+    // Peers may have missed changes while we were away; skip if the "connected" update already sent it
+    conn.onConnect(() => {
+      if (this.peerLastAt < conn.since) this.publishPeerPresence(true);
+    });
+    const filters = [base + "/+/presence"];
+    if (g.shareEnd) filters.push(base + "/+/end");
+    conn.subscribe(filters, HA_QOS, (topic, message) => this.handlePeerMessage(topic, message.toString()));
+    this.log(`[peers] group ${base} as "${own}", peers: ${this.peerDefs.map(p => p.id).join(", ") || "none"}`, "simple");
+  },
+
+  handlePeerMessage: function (topic, raw) {
+    const [id, kind] = topic.slice(this.peerTopics.base.length + 1).split("/");
+    if (id === this.peerId()) return;    // our own publishes come back from the broker
+    if (kind === "end") {
+      this.log(`[peers] END from ${id}`, "simple");
+      this.runCommand("end", undefined, PEER_SOURCE_PREFIX + id);
+      return;
+    }
+    const peer = this.peerDefs.find(p => p.id === id);
+    if (!peer) return;
+    let presence;
+    try {
+      presence = JSON.parse(raw).presence;
+    } catch {
+      presence = null;
+    }
+    if (typeof presence !== "boolean") {
+      this.log(`[peers] ignoring invalid presence message from ${id}: ${raw}`, "simple");
+      return;
+    }
+    this.log(`[peers] ${id} presence=${presence}`, "complex");
+    this.setPeerPresence(peer, presence);
+  },
+
+  // Presence starts after the peer's delay (dropped if the peer is empty again before), ends with the peer's
+  setPeerPresence: function (peer, presence) {
+    const timers = this.peerTimers[peer.id] || (this.peerTimers[peer.id] = { delay: null, expiry: null });
+    clearTimeout(timers.expiry);
+    timers.expiry = null;
+    if (!presence) {
+      clearTimeout(timers.delay);
+      timers.delay = null;
+      this.setSourcePresence(peer.source, false);
+      return;
+    }
+    // No heartbeat for a while: the peer is gone (crash, network) and must not hold our screen on
+    timers.expiry = setTimeout(() => {
+      this.log(`[peers] ${peer.id} silent for ${PEER_EXPIRY_S}s — presence dropped`, "simple");
+      this.setPeerPresence(peer, false);
+    }, PEER_EXPIRY_S * 1000);
+    if (this.sources.isActive(peer.source) || timers.delay) return;   // heartbeat
+    if (peer.delay > 0) {
+      timers.delay = setTimeout(() => {
+        timers.delay = null;
+        this.setSourcePresence(peer.source, true);
+      }, peer.delay * 1000);
+    } else {
+      this.setSourcePresence(peer.source, true);
+    }
+  },
+
+  clearPeerTimers: function () {
+    for (const id of Object.keys(this.peerTimers)) {
+      clearTimeout(this.peerTimers[id].delay);
+      clearTimeout(this.peerTimers[id].expiry);
+    }
+    this.peerTimers = {};
+  },
+
+  // Countdown when only peers keep us awake: the longest of their timeouts, null if any has none
+  peerTimeout: function () {
+    const active = this.sources.active();
+    if (active.length === 0 || !active.every(name => name.startsWith(PEER_SOURCE_PREFIX))) return null;
+    const peers = this.peerDefs.filter(p => active.includes(p.source));
+    if (peers.length === 0 || peers.some(p => !p.timeout)) return null;
+    return Math.max(...peers.map(p => p.timeout));
+  },
+
+  // What our own sensors see; presence taken over from peers is never passed on (no echo between mirrors)
+  localPresence: function () {
+    return this.evaluatePresenceSources(name => name.startsWith(PEER_SOURCE_PREFIX));
+  },
+
+  publishPeerPresence: function (force) {
+    if (!this.mqtt || !this.peerTopics || !this.mqtt.connected) return;
+    const local = this.localPresence();
+    if (!force && local === this.peerLastPresence) return;
+    this.peerLastPresence = local;
+    this.peerLastAt = Date.now();
+    this.mqtt.publish(this.peerTopics.presence, JSON.stringify({ presence: local, at: new Date().toISOString() }), { retain: false, qos: HA_QOS });
+  },
+
+  checkPeerHeartbeat: function (now) {
+    if (this.peerLastPresence === true && now.getTime() - this.peerLastAt >= PEER_HEARTBEAT_S * 1000) {
+      this.publishPeerPresence(true);
+    }
+  },
+
+  // END from a local channel goes to the group; END received from a peer is not passed on
+  sharePeerEnd: function (origin) {
+    if (!this.mqtt || !this.peerTopics || !this.peerGroupConfig().shareEnd) return;
+    if (String(origin).startsWith(PEER_SOURCE_PREFIX)) return;
+    this.mqtt.publish(this.peerTopics.end, new Date().toISOString(), { retain: false, qos: HA_QOS });
   }
 });
@@ -0,0 +1,142 @@
+/**
+ * payloadLib.js
+ * Field expressions for MQTT presence payloads in MMM-PresenceScreenControl.
+ * Supports dotted / JSONPath-like paths into nested payloads and arrays, optionally
+ * followed by a comparison:
+ *   "presence"                      top-level key (classic behaviour)
+ *   "occupancy.state"               nested key ("$." prefix allowed: "$.occupancy.state")
+ *   "targets[0].distance < 150"     array index + numeric comparison
+ *   "targets[*].distance < 150"     any array element matches ("targets[].distance" too)
+ *   "illuminance > 5", "state == 'on'", "$ > 0" ($ = whole payload)
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (nested field extraction and comparisons, coercePresence moved here)
+ * Modified: 2026-10-19 - extractNumber for numeric readings (ambient light lux)
+ * Modified: 2026-10-19 - A top-level key that matches the whole expression wins over the path (keys with dots)
+ */
+
+const COMPARE_RE = /^(.*?)\s*(<=|>=|==|!=|<|>)\s*(.+)$/;
+const SEGMENT_RE = /\[\s*(\d+|\*|)\s*\]|\[\s*["']([^"']+)["']\s*\]|([^.[\]]+)/g;
+const WILDCARD = { wildcard: true };
+
+// Truthy presence values: boolean true, number != 0, "true"/"1"/"on"/"yes" (case-insensitive)
+function coercePresence (v) {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v !== 0;
+  if (typeof v === "string") {
+    const s = v.toLowerCase().trim();
+    return s === "true" || s === "1" || s === "on" || s === "yes";
+  }
+  return false;
+}
+
+function parsePath (text) {
+  let path = text.trim();
+  if (path.startsWith("$")) path = path.slice(1);
+  const segments = [];
+  let m;
+  SEGMENT_RE.lastIndex = 0;
+  while ((m = SEGMENT_RE.exec(path)) !== null) {
+    if (m[3] !== undefined) segments.push(m[3].trim());
+    else if (m[2] !== undefined) segments.push(m[2]);
+    else if (m[1] === "*" || m[1] === "") segments.push(WILDCARD);
+    else segments.push(Number(m[1]));
+  }
+  return segments;
+}
+
+function parseLiteral (text) {
+  const t = text.trim();
+  if (/^(["']).*\1$/.test(t)) return t.slice(1, -1);
+  if (t.toLowerCase() === "true") return true;
+  if (t.toLowerCase() === "false") return false;
+  if (t.toLowerCase() === "null") return null;
+  const n = Number(t);
+  return (t !== "" && Number.isFinite(n)) ? n : t;
+}
+
+// All values reached by the path; wildcards fan out over array elements / object values
+function extractValues (payload, segments) {
+  let current = [payload];
+  for (const seg of segments) {
+    const next = [];
+    for (const value of current) {
+      if (value === null || typeof value !== "object") continue;
+      if (seg === WILDCARD) {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (value[seg] !== undefined) {
+        next.push(value[seg]);
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+// Keys like "sensor.occupancy" were plain lookups before paths existed: an exact top-level key wins
+function lookup (payload, pathText, segments) {
+  if (payload !== null && typeof payload === "object" && Object.prototype.hasOwnProperty.call(payload, pathText)) {
+    return [payload[pathText]];
+  }
+  return extractValues(payload, segments);
+}
+
+function compare (value, op, literal) {
+  if (typeof literal === "number") {
+    const n = (typeof value === "string" && value.trim() !== "") ? Number(value) : value;
+    if (typeof n !== "number" || !Number.isFinite(n)) return false;
+    value = n;
+  } else if (typeof literal === "string" && typeof value === "string") {
+    value = value.trim();
+  }
+  switch (op) {
+    case "<": return value < literal;
+    case "<=": return value <= literal;
+    case ">": return value > literal;
+    case ">=": return value >= literal;
+    case "==": return value === literal;
+    case "!=": return value !== literal;
+    default: return false;
+  }
+}
+
+/**
+ * Compiles a field expression once; test(payload) then returns the presence boolean.
+ * Without a comparison the value(s) are coerced with coercePresence; any matching
+ * array element (wildcard path) counts as presence.
+ * @param {string} expr - Field expression
+ * @returns {{text: string, test: function(*): boolean}}
+ */
+function compileFieldExpression (expr) {
+  const text = String(expr || "presence").trim();
+  const m = text.match(COMPARE_RE);
+  const pathText = (m ? m[1] : text).trim();
+  const segments = parsePath(pathText);
+  if (!m) {
+    return { text: text, test: (payload) => lookup(payload, pathText, segments).some(coercePresence) };
+  }
+  const op = m[2];
+  const literal = parseLiteral(m[3]);
+  return { text: text, test: (payload) => lookup(payload, pathText, segments).some(v => compare(v, op, literal)) };
+}
+
+/**
+ * First numeric value at a path ("illuminance", "sensors[0].lux", "$" = whole payload).
+ * Numeric strings count; returns null if there is none.
+ * @param {*} payload - Parsed JSON payload (or a bare number)
+ * @param {string} expr - Path expression
+ * @returns {number|null}
+ */
+function extractNumber (payload, expr) {
+  const pathText = String(expr || "$").trim();
+  const values = lookup(payload, pathText, parsePath(pathText));
+  for (const v of values) {
+    const n = (typeof v === "string" && v.trim() !== "") ? Number(v) : v;
+    if (typeof n === "number" && Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+module.exports = { coercePresence, compileFieldExpression, extractNumber };
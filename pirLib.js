@@ -12,6 +12,7 @@
  * License: MIT
  *
  * Modified: 2026-07-01 19:51 - Set internal pull-down bias for gpiomon/gpioget (libgpiod 2.x) so high-impedance active-high PIR sensors (e.g. Panasonic PaPIR) read a defined LOW at rest (refs #8)
+ * Modified: 2026-10-19 - setDebug() to switch debug output on a running sensor
  */
 
 var log = () => { /* do nothing */ };
@@ -31,13 +32,19 @@ class PIR {
       debounceMs: 200
     };
     this.config = Object.assign({}, this.default, this.config);
-    if (this.config.debug) log = (...args) => { console.log("[PIR]", ...args); };
+    this.setDebug(this.config.debug);
     this.pir = null;
     this.gpioMonitor = null;
     this.running = false;
     this.pirReadyToDetect = false;
   }
 
+  // Live debug changes (node_helper applySetting) reach the running sensor without a restart
+  setDebug (debug) {
+    this.config.debug = !!debug;
+    log = this.config.debug ? (...args) => { console.log("[PIR]", ...args); } : () => { /* do nothing */ };
+  }
+
   start () {
     if (this.running) return;
     if (this.config.gpio === 0) return console.log("[PIR] Disabled.");
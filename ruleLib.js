@@ -0,0 +1,133 @@
+/**
+ * ruleLib.js
+ * Tiny boolean expression language for presence rules in MMM-PresenceScreenControl.
+ * Identifiers are presence source names, combined with AND / OR / NOT and parentheses,
+ * e.g. "radar OR (pir AND NOT door)". The symbolic forms &&, || and ! are accepted too.
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (presence rules instead of fixed PIR/MQTT OR)
+ */
+
+const KEYWORDS = { and: "AND", or: "OR", not: "NOT", true: "TRUE", false: "FALSE" };
+const SYMBOLS = { "&&": "AND", "||": "OR", "!": "NOT", "(": "(", ")": ")" };
+const IDENT_RE = /^[A-Za-z0-9_:.\-/]+/;
+
+function tokenize (text) {
+  const tokens = [];
+  let rest = String(text);
+  while (rest.length > 0) {
+    const ws = rest.match(/^\s+/);
+    if (ws) {
+      rest = rest.slice(ws[0].length);
+      continue;
+    }
+    const sym = ["&&", "||", "!", "(", ")"].find(s => rest.startsWith(s));
+    if (sym) {
+      tokens.push({ type: SYMBOLS[sym] });
+      rest = rest.slice(sym.length);
+      continue;
+    }
+    const word = rest.match(IDENT_RE);
+    if (!word) throw new Error(`unexpected character "${rest[0]}"`);
+    const kw = KEYWORDS[word[0].toLowerCase()];
+    tokens.push(kw ? { type: kw } : { type: "IDENT", value: word[0] });
+    rest = rest.slice(word[0].length);
+  }
+  return tokens;
+}
+
+// Recursive descent: or := and (OR and)* ; and := not (AND not)* ; not := NOT not | primary
+function parse (tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos] && tokens[pos].type;
+  const expect = (type) => {
+    if (peek() !== type) {
+      throw new Error(`expected ${type === "IDENT" ? "source name" : type} but found ${peek() || "end of rule"}`);
+    }
+    return tokens[pos++];
+  };
+
+  function parseOr () {
+    const args = [parseAnd()];
+    while (peek() === "OR") {
+      pos++;
+      args.push(parseAnd());
+    }
+    return args.length === 1 ? args[0] : { op: "or", args: args };
+  }
+
+  function parseAnd () {
+    const args = [parseNot()];
+    while (peek() === "AND") {
+      pos++;
+      args.push(parseNot());
+    }
+    return args.length === 1 ? args[0] : { op: "and", args: args };
+  }
+
+  function parseNot () {
+    if (peek() === "NOT") {
+      pos++;
+      return { op: "not", args: [parseNot()] };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary () {
+    const type = peek();
+    if (type === "(") {
+      pos++;
+      const node = parseOr();
+      expect(")");
+      return node;
+    }
+    if (type === "TRUE" || type === "FALSE") {
+      pos++;
+      return { op: "const", value: type === "TRUE" };
+    }
+    return { op: "ident", name: expect("IDENT").value };
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`unexpected ${peek()} after end of expression`);
+  return ast;
+}
+
+function evaluate (node, lookup) {
+  switch (node.op) {
+    case "or": return node.args.some(arg => evaluate(arg, lookup));
+    case "and": return node.args.every(arg => evaluate(arg, lookup));
+    case "not": return !evaluate(node.args[0], lookup);
+    case "const": return node.value;
+    default: return !!lookup(node.name);
+  }
+}
+
+function collectIdentifiers (node, out = []) {
+  if (node.op === "ident") {
+    if (!out.includes(node.name)) out.push(node.name);
+  } else if (node.args) {
+    node.args.forEach(arg => collectIdentifiers(arg, out));
+  }
+  return out;
+}
+
+/**
+ * Compiles a rule string. Throws an Error with a readable message on syntax errors.
+ * @param {string} text - Rule expression
+ * @returns {{text: string, identifiers: string[], evaluate: function(function(string): boolean): boolean}}
+ */
+function compileRule (text) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) throw new Error("empty rule");
+  const ast = parse(tokens);
+  return {
+    text: String(text).trim(),
+    identifiers: collectIdentifiers(ast),
+    evaluate: (lookup) => evaluate(ast, lookup)
+  };
+}
+
+module.exports = { compileRule };
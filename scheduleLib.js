@@ -0,0 +1,377 @@
+/**
+ * scheduleLib.js
+ * Schedule windows for MMM-PresenceScreenControl (cronIgnoreWindows / cronAlwaysOnWindows).
+ *
+ * Window forms (all accept the date filters below):
+ *   { from: "07:00", to: "08:30", days: [1,2,3,4,5] }   daily clock window (wraps past midnight if to < from)
+ *   { cron: "0 7 * * 1#1", duration: 5400 }            starts at every cron match, lasts duration seconds
+ *   { cron: "30 6 * * 1-5", to: "08:00" }              starts at every cron match, ends at the next "to"
+ *   { date: "2026-12-31", from: "20:00", to: "02:00" }  one-shot window on a specific date
+ * Times ("from"/"to") are "HH:MM" or a sun anchor with optional offset, computed offline from
+ * the configured latitude/longitude: "sunset-30min", "sunrise", "civilDusk+1h", "sunrise+00:15".
+ * Anchors: sunrise, sunset, civilDawn, civilDusk, nauticalDawn, nauticalDusk, solarNoon.
+ * Date filters:
+ *   dates:       ["2026-12-24", "12-31", { from: "12-24", to: "01-06" }]  only on these dates
+ *   exceptDates: same format, never on these dates (e.g. public holidays)
+ *
+ * Cron syntax: 5 fields "minute hour day-of-month month day-of-week" with *, lists, ranges,
+ * steps and month/day names. Extensions: "L" (last day of month) in day-of-month, "1#1"
+ * (first Monday) and "5L" (last Friday) in day-of-week. As in classic cron, if both
+ * day-of-month and day-of-week are restricted, a day matching either one matches.
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (cron expressions, date ranges and one-shot windows)
+ * Modified: 2026-10-19 - Sunrise/sunset/twilight anchors with offsets for from/to (sunLib)
+ * Modified: 2026-10-19 - Accept "24:00" (end of day) again, as the old HH:MM windows did
+ * Modified: 2026-10-19 - Reject cron windows with a duration beyond the one-week lookback
+ */
+
+const { sunTime, isSunEvent } = require("./sunLib");
+
+const MINUTE_MS = 60 * 1000;
+const MAX_CRON_LOOKBACK_MIN = 7 * 24 * 60;   // longest supported cron window: one week
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// --- Cron parsing ---
+
+function parseCronValue (text, names, offset) {
+  const idx = names ? names.indexOf(text.toLowerCase()) : -1;
+  if (idx !== -1) return idx + offset;
+  const n = Number(text);
+  if (!Number.isInteger(n)) throw new Error(`invalid value "${text}"`);
+  return n;
+}
+
+// Returns a Set of allowed values, or null for "*" (unrestricted)
+function parseCronField (text, min, max, names, offset = 0) {
+  if (text === "*" || text === "?") return null;
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [rangeText, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in "${part}"`);
+    let lo;
+    let hi;
+    if (rangeText === "*") {
+      lo = min;
+      hi = max;
+    } else if (rangeText.includes("-")) {
+      const [a, b] = rangeText.split("-");
+      lo = parseCronValue(a, names, offset);
+      hi = parseCronValue(b, names, offset);
+    } else {
+      lo = parseCronValue(rangeText, names, offset);
+      hi = stepText === undefined ? lo : max;
+    }
+    if (lo < min || hi > max || lo > hi) throw new Error(`value out of range in "${part}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron (expr) {
+  const fields = String(expr).trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`cron "${expr}" needs 5 fields (minute hour day-of-month month day-of-week)`);
+  const [minF, hourF, domF, monF, dowF] = fields;
+
+  // Day-of-month extension: "L" = last day of the month
+  let domLast = false;
+  let domText = domF;
+  if (/^L$/i.test(domF)) {
+    domLast = true;
+    domText = "*";
+  }
+  // Day-of-week extensions: "1#2" = 2nd Monday, "5L" = last Friday (single term only)
+  let dowNth = null;
+  let dowText = dowF;
+  const nth = dowF.match(/^(\w+)#([1-5])$/);
+  const last = dowF.match(/^(\w+)L$/i);
+  if (nth) {
+    dowNth = { day: parseCronValue(nth[1], DAY_NAMES, 0) % 7, nth: Number(nth[2]) };
+    dowText = "*";
+  } else if (last) {
+    dowNth = { day: parseCronValue(last[1], DAY_NAMES, 0) % 7, nth: "L" };
+    dowText = "*";
+  }
+
+  const dow = parseCronField(dowText, 0, 7, DAY_NAMES, 0);
+  if (dow && dow.has(7)) dow.add(0);   // 7 = Sunday as well
+  return {
+    minute: parseCronField(minF, 0, 59),
+    hour: parseCronField(hourF, 0, 23),
+    dom: parseCronField(domText, 1, 31),
+    month: parseCronField(monF, 1, 12, MONTH_NAMES, 1),
+    dow: dow,
+    domLast: domLast,
+    dowNth: dowNth
+  };
+}
+
+function daysInMonth (d) {
+  return new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+}
+
+function cronDayMatches (cron, d) {
+  const dayOfMonth = d.getDate();
+  let domMatch = null;   // null = unrestricted
+  if (cron.domLast) domMatch = (dayOfMonth === daysInMonth(d));
+  else if (cron.dom) domMatch = cron.dom.has(dayOfMonth);
+
+  let dowMatch = null;
+  if (cron.dowNth) {
+    const sameDay = d.getDay() === cron.dowNth.day;
+    dowMatch = sameDay && (cron.dowNth.nth === "L"
+      ? dayOfMonth + 7 > daysInMonth(d)
+      : Math.ceil(dayOfMonth / 7) === cron.dowNth.nth);
+  } else if (cron.dow) {
+    dowMatch = cron.dow.has(d.getDay());
+  }
+
+  if (domMatch === null && dowMatch === null) return true;
+  if (domMatch === null) return dowMatch;
+  if (dowMatch === null) return domMatch;
+  return domMatch || dowMatch;
+}
+
+function cronMatches (cron, d) {
+  if (cron.minute && !cron.minute.has(d.getMinutes())) return false;
+  if (cron.hour && !cron.hour.has(d.getHours())) return false;
+  if (cron.month && !cron.month.has(d.getMonth() + 1)) return false;
+  return cronDayMatches(cron, d);
+}
+
+// --- Date filters ---
+
+function parseDateSpec (text) {
+  const full = String(text).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (full) return { annual: false, key: Number(full[1]) * 10000 + Number(full[2]) * 100 + Number(full[3]) };
+  const annual = String(text).trim().match(/^(\d{1,2})-(\d{1,2})$/);
+  if (annual) return { annual: true, key: Number(annual[1]) * 100 + Number(annual[2]) };
+  throw new Error(`invalid date "${text}" (use YYYY-MM-DD or MM-DD)`);
+}
+
+// Entries: "YYYY-MM-DD" | "MM-DD" | { from, to } (inclusive, annual ranges may wrap the year end)
+function parseDateList (list) {
+  if (list === undefined || list === null) return null;
+  const entries = Array.isArray(list) ? list : [list];
+  return entries.map((entry) => {
+    if (entry && typeof entry === "object") {
+      const from = parseDateSpec(entry.from);
+      const to = parseDateSpec(entry.to);
+      if (from.annual !== to.annual) throw new Error("date range must use the same format for from and to");
+      return { from: from, to: to };
+    }
+    const single = parseDateSpec(entry);
+    return { from: single, to: single };
+  });
+}
+
+function dateListMatches (list, d) {
+  const full = d.getFullYear() * 10000 + (d.getMonth() + 1) * 100 + d.getDate();
+  const annual = full % 10000;
+  return list.some(({ from, to }) => {
+    const key = from.annual ? annual : full;
+    if (from.key <= to.key) return key >= from.key && key <= to.key;
+    return key >= from.key || key <= to.key;   // annual range across the year end
+  });
+}
+
+// --- Times of day ---
+
+// "24:00" is the end of the day (minute 1440); setHours(24, 0) rolls over to the next midnight
+function parseClock (text) {
+  const m = String(text).trim().match(/^(\d{1,2}):(\d{2})$/);
+  const h = m ? Number(m[1]) : NaN;
+  const min = m ? Number(m[2]) : NaN;
+  if (!m || min > 59 || h > 24 || (h === 24 && min > 0)) throw new Error(`invalid time "${text}" (use HH:MM)`);
+  return { h: h, m: min };
+}
+
+// Offset after a sun anchor: "+30min", "-30m", "+1h", "-90s", "+00:15" (HH:MM)
+function parseOffset (text) {
+  if (!text) return 0;
+  const sign = text[0] === "-" ? -1 : 1;
+  const body = text.slice(1).trim();
+  const hhmm = body.match(/^(\d{1,2}):(\d{2})$/);
+  if (hhmm) return sign * (Number(hhmm[1]) * 60 + Number(hhmm[2])) * MINUTE_MS;
+  const unit = body.match(/^(\d+(?:\.\d+)?)\s*(h|m|min|s)?$/i);
+  if (!unit) throw new Error(`invalid offset "${text}" (e.g. +30min, -1h, +00:15)`);
+  const factor = { h: 60 * MINUTE_MS, s: 1000 }[(unit[2] || "min").toLowerCase()] || MINUTE_MS;
+  return sign * Number(unit[1]) * factor;
+}
+
+// "HH:MM" -> { clock }, "<anchor>[+-offset]" -> { sun, offsetMs }
+function parseTimeSpec (text, location) {
+  const t = String(text).trim();
+  const anchor = t.match(/^([a-z]+)\s*([+-].*)?$/i);
+  if (anchor && isSunEvent(anchor[1])) {
+    if (!location) throw new Error(`"${t}" needs latitude and longitude in the module config`);
+    return { sun: anchor[1], offsetMs: parseOffset(anchor[2] && anchor[2].replace(/\s+/g, "")), location: location };
+  }
+  return { clock: parseClock(t) };
+}
+
+// Concrete time of a spec on the given day, or null if the sun event does not occur (polar regions)
+function atTime (day, spec) {
+  if (spec.clock) {
+    const d = new Date(day);
+    d.setHours(spec.clock.h, spec.clock.m, 0, 0);
+    return d;
+  }
+  const base = sunTime(spec.sun, day, spec.location.latitude, spec.location.longitude);
+  return base ? new Date(base.getTime() + spec.offsetMs) : null;
+}
+
+function startOfDay (d) {
+  const s = new Date(d);
+  s.setHours(0, 0, 0, 0);
+  return s;
+}
+
+function addDays (d, n) {
+  const r = new Date(d);
+  r.setDate(r.getDate() + n);
+  return r;
+}
+
+// --- Windows ---
+
+/**
+ * Compiles one window config entry. Throws an Error with a readable message if invalid.
+ * location ({ latitude, longitude }) is needed only for sun anchors.
+ */
+function compileWindow (win, location) {
+  if (!win || typeof win !== "object") throw new Error("window must be an object");
+  const compiled = {
+    source: win,
+    days: Array.isArray(win.days) ? win.days : null,
+    dates: parseDateList(win.date !== undefined ? win.date : win.dates),
+    exceptDates: parseDateList(win.exceptDates),
+    cacheMinute: null,
+    cacheStart: null
+  };
+  if (win.cron) {
+    compiled.cron = parseCron(win.cron);
+    if (Number(win.duration) > 0) {
+      // cronOccurrence looks back at most MAX_CRON_LOOKBACK_MIN for the start of a running window
+      if (Number(win.duration) > MAX_CRON_LOOKBACK_MIN * 60) {
+        throw new Error(`cron window "${win.cron}" lasts longer than one week (duration ${win.duration}s, max ${MAX_CRON_LOOKBACK_MIN * 60}s)`);
+      }
+      compiled.durationMs = Number(win.duration) * 1000;
+    } else if (win.to) {
+      compiled.to = parseTimeSpec(win.to, location);
+    } else {
+      throw new Error(`cron window "${win.cron}" needs a duration (seconds) or a "to" time`);
+    }
+  } else {
+    if (!win.from || !win.to) throw new Error("window needs from/to (HH:MM) or a cron expression");
+    compiled.from = parseTimeSpec(win.from, location);
+    compiled.to = parseTimeSpec(win.to, location);
+  }
+  return compiled;
+}
+
+// Date filters apply to the day an occurrence starts (so a one-shot 20:00-02:00 window on
+// 12-31 lasts into the next morning). "days" keeps its historical meaning: the weekday of now.
+function startDayAllowed (cw, startDay) {
+  if (cw.dates && !dateListMatches(cw.dates, startDay)) return false;
+  if (cw.exceptDates && dateListMatches(cw.exceptDates, startDay)) return false;
+  return true;
+}
+
+function clockOccurrence (cw, now) {
+  // Candidates: the occurrence starting today, and yesterday's (may wrap past midnight)
+  for (let back = 0; back <= 1; back++) {
+    const day = addDays(startOfDay(now), -back);
+    const start = atTime(day, cw.from);
+    let end = atTime(day, cw.to);
+    if (!start || !end) continue;
+    if (end < start) end = atTime(addDays(day, 1), cw.to);   // from == to stays an empty window (as before)
+    if (end && now >= start && now < end && startDayAllowed(cw, day)) return { start: start, end: end };
+  }
+  return null;
+}
+
+function cronEnd (cw, start) {
+  if (cw.durationMs) return new Date(start.getTime() + cw.durationMs);
+  const end = atTime(startOfDay(start), cw.to);
+  if (end && end > start) return end;
+  return atTime(addDays(startOfDay(start), 1), cw.to) || start;
+}
+
+// Latest cron match whose window still covers now. Cron matches only change per minute,
+// so the backward search runs once per minute and is cached on the compiled window.
+function cronOccurrence (cw, now) {
+  const minute = Math.floor(now.getTime() / MINUTE_MS);
+  if (cw.cacheMinute !== minute) {
+    cw.cacheMinute = minute;
+    cw.cacheStart = null;
+    const maxBack = cw.durationMs
+      ? Math.min(MAX_CRON_LOOKBACK_MIN, Math.ceil(cw.durationMs / MINUTE_MS))
+      : 24 * 60;
+    const probe = new Date(minute * MINUTE_MS);
+    for (let i = 0; i <= maxBack; i++) {
+      // Only the latest match can still cover now: earlier starts never end later
+      if (cronMatches(cw.cron, probe) && startDayAllowed(cw, startOfDay(probe))) {
+        if (cronEnd(cw, probe) > now) cw.cacheStart = new Date(probe);
+        break;
+      }
+      probe.setTime(probe.getTime() - MINUTE_MS);
+    }
+  }
+  if (!cw.cacheStart) return null;
+  const end = cronEnd(cw, cw.cacheStart);
+  return (now < end) ? { start: cw.cacheStart, end: end } : null;
+}
+
+/**
+ * Active occurrence of one compiled window at now: { from, to, total, left } or null.
+ */
+function windowInfo (cw, now) {
+  if (cw.days && !cw.days.includes(now.getDay())) return null;
+  const occ = cw.cron ? cronOccurrence(cw, now) : clockOccurrence(cw, now);
+  if (!occ) return null;
+  return {
+    from: occ.start,
+    to: occ.end,
+    total: Math.round((occ.end - occ.start) / 1000),
+    left: Math.ceil((occ.end - now) / 1000)
+  };
+}
+
+/**
+ * Overlap resolution inside one window list: if several windows are active at once, the one
+ * that ends LAST wins (ties: first in config order). Its countdown is then the real time until
+ * the list stops being active. Between lists node_helper applies: startup grace > always-on
+ * windows > ignore windows.
+ */
+function activeWindow (compiledList, now) {
+  let best = null;
+  for (const cw of compiledList) {
+    const info = windowInfo(cw, now);
+    if (info && (!best || info.to > best.to)) best = info;
+  }
+  return best;
+}
+
+/**
+ * Compiles a config window list; invalid entries are reported via onError and skipped.
+ * location: { latitude, longitude } for sun anchors, or null.
+ */
+function compileWindows (list, onError, location = null) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  list.forEach((win, i) => {
+    try {
+      out.push(compileWindow(win, location));
+    } catch (e) {
+      if (onError) onError(`window #${i + 1} ${JSON.stringify(win)}: ${e.message}`);
+    }
+  });
+  return out;
+}
+
+module.exports = { compileWindows, activeWindow, windowInfo, parseCron, cronMatches };
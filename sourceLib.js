@@ -0,0 +1,101 @@
+/**
+ * sourceLib.js
+ * Registry of named presence sources for MMM-PresenceScreenControl.
+ * Every input (PIR, MQTT, touch, Home Assistant, wakeup socket, ...) registers under a
+ * name and keeps its own on/off state; node_helper decides presence by asking the registry
+ * instead of tracking one hard-coded flag per sensor.
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (pluggable presence-source registry)
+ * Modified: 2026-10-19 - Track lastSeen per source and a stale flag (watchdog for silent sensors)
+ */
+
+// Source kinds:
+//   "sensor" - held state, stays active until the input reports absence (PIR, MQTT, HA switch)
+//   "pulse"  - momentary trigger, reset by node_helper shortly after it fired (touch, wakeup)
+const SOURCE_KINDS = ["sensor", "pulse"];
+
+class SourceRegistry {
+  constructor () {
+    this.sources = {};
+  }
+
+  register (name, kind = "sensor") {
+    if (!SOURCE_KINDS.includes(kind)) kind = "sensor";
+    if (!this.sources[name]) {
+      this.sources[name] = { name: name, kind: kind, active: false, since: null, lastSeen: Date.now(), stale: false };
+    }
+    return this.sources[name];
+  }
+
+  has (name) {
+    return !!this.sources[name];
+  }
+
+  get (name) {
+    return this.sources[name] || null;
+  }
+
+  names () {
+    return Object.keys(this.sources);
+  }
+
+  // Returns true if the state actually changed. Unknown sources are ignored (not enabled in config).
+  set (name, active) {
+    const src = this.sources[name];
+    if (!src) return false;
+    active = !!active;
+    if (src.active === active) return false;
+    src.active = active;
+    src.since = Date.now();
+    return true;
+  }
+
+  // Any message from the input counts as a sign of life, whatever state it reports
+  seen (name) {
+    const src = this.sources[name];
+    if (src) src.lastSeen = Date.now();
+  }
+
+  // Returns true if the stale flag changed. A stale source always counts as absent.
+  setStale (name, stale) {
+    const src = this.sources[name];
+    if (!src || src.stale === !!stale) return false;
+    src.stale = !!stale;
+    if (src.stale) this.set(name, false);
+    return true;
+  }
+
+  stale () {
+    return this.names().filter((name) => this.sources[name].stale);
+  }
+
+  isActive (name) {
+    return !!(this.sources[name] && this.sources[name].active);
+  }
+
+  anyActive () {
+    return this.names().some((name) => this.sources[name].active);
+  }
+
+  active () {
+    return this.names().filter((name) => this.sources[name].active);
+  }
+
+  // Reset all sources of one kind, e.g. clear pending touch pulses once a real sensor fires.
+  clearKind (kind) {
+    let changed = false;
+    for (const name of this.names()) {
+      if (this.sources[name].kind === kind && this.set(name, false)) changed = true;
+    }
+    return changed;
+  }
+
+  clear () {
+    this.sources = {};
+  }
+}
+
+module.exports = SourceRegistry;
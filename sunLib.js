@@ -0,0 +1,74 @@
+/**
+ * sunLib.js
+ * Offline sunrise / sunset / twilight times for MMM-PresenceScreenControl schedule windows.
+ * NOAA solar position algorithm (simplified), accurate to about a minute for populated
+ * latitudes. No network access, no dependencies.
+ *
+ * Author: Dr. Ralf Korell, 2025
+ * License: MIT
+ *
+ * Created: 2026-10-19 - Initial version (astronomical anchors for schedule windows)
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+
+// Sun altitude (degrees) at which each event happens; "rise" events are before noon
+const EVENTS = {
+  sunrise: { altitude: -0.833, rising: true },
+  sunset: { altitude: -0.833, rising: false },
+  civildawn: { altitude: -6, rising: true },
+  civildusk: { altitude: -6, rising: false },
+  nauticaldawn: { altitude: -12, rising: true },
+  nauticaldusk: { altitude: -12, rising: false },
+  solarnoon: { altitude: null, rising: null }
+};
+
+function toJulian (date) {
+  return date.getTime() / DAY_MS - 0.5 + J1970;
+}
+
+function fromJulian (j) {
+  return new Date((j + 0.5 - J1970) * DAY_MS);
+}
+
+/**
+ * Time of a solar event on the local calendar day of `day`.
+ * @param {string} event - sunrise | sunset | civilDawn | civilDusk | nauticalDawn | nauticalDusk | solarNoon
+ * @param {Date} day - Any time on the wanted day (local time)
+ * @param {number} lat - Latitude in degrees (north positive)
+ * @param {number} lon - Longitude in degrees (east positive)
+ * @returns {Date|null} - null if the event does not happen that day (polar day/night)
+ */
+function sunTime (event, day, lat, lon) {
+  const ev = EVENTS[String(event).toLowerCase()];
+  if (!ev) throw new Error(`unknown sun event "${event}"`);
+
+  // Julian cycle around local noon of the requested day
+  const noon = new Date(day);
+  noon.setHours(12, 0, 0, 0);
+  const lw = -lon * RAD;
+  const n = Math.round(toJulian(noon) - J2000 - 0.0009 - lw / (2 * Math.PI));
+  const approxTransit = J2000 + 0.0009 + lw / (2 * Math.PI) + n;
+
+  const M = (357.5291 + 0.98560028 * (approxTransit - J2000)) * RAD;      // solar mean anomaly
+  const C = (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M)) * RAD;
+  const L = M + C + 102.9372 * RAD + Math.PI;                              // ecliptic longitude
+  const transit = approxTransit + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+  if (ev.altitude === null) return fromJulian(transit);
+
+  const dec = Math.asin(Math.sin(L) * Math.sin(23.4397 * RAD));            // declination
+  const phi = lat * RAD;
+  const cosH = (Math.sin(ev.altitude * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+  if (cosH < -1 || cosH > 1) return null;
+  const H = Math.acos(cosH) / (2 * Math.PI);                               // hour angle in days
+  return fromJulian(ev.rising ? transit - H : transit + H);
+}
+
+function isSunEvent (name) {
+  return Object.prototype.hasOwnProperty.call(EVENTS, String(name).toLowerCase());
+}
+
+module.exports = { sunTime, isSunEvent };
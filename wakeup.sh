@@ -1,10 +1,23 @@
 #!/bin/bash
-# wakeup.sh - external wakeup notifier for MMM-PresenceScreenControl
-# Sends a ping to the module's local socket so that an external screen-on
-# event (e.g. a compositor mode change at boot) is treated as a presence event.
+# wakeup.sh - external wakeup notifier / control client for MMM-PresenceScreenControl
+# Without arguments it sends a wakeup to the module's local socket so that an external
+# screen-on event (e.g. a compositor mode change at boot) is treated as a presence event.
+# With arguments it sends that command and prints the answer, e.g.:
+#   wakeup.sh status            -> JSON status line
+#   wakeup.sh lock | unlock | end
+#   wakeup.sh override 3600     -> keep the screen on for an hour ("override ignore 2h", "override clear")
+#   wakeup.sh subscribe         -> one JSON line per state change, until interrupted
 # Requires the module config option "treatExternalWakeupAsPresence: true".
-SOCK="${XDG_RUNTIME_DIR:-/tmp}/mmm-psc-wakeup.sock"
-if [ -S "$SOCK" ]; then
-    echo 1 | nc -U -q0 "$SOCK" 2>/dev/null
+# Set PSC_SOCKET if the module uses a custom "wakeupSocketPath".
+SOCK="${PSC_SOCKET:-${XDG_RUNTIME_DIR:-/tmp}/mmm-psc-wakeup.sock}"
+if [ ! -S "$SOCK" ]; then
+    [ $# -eq 0 ] && exit 0
+    echo "wakeup.sh: socket $SOCK not found" >&2
+    exit 1
 fi
-exit 0
+if [ $# -eq 0 ]; then
+    echo wakeup | nc -U -q0 "$SOCK" >/dev/null 2>&1
+    exit 0
+fi
+# The module closes the connection after answering (except for subscribe)
+printf '%s\n' "$*" | nc -U "$SOCK"